@@ -0,0 +1,254 @@
+/* ================================================================== */
+/* ============================== AUDIO ============================= */
+/* ================================================================== */
+
+/*
+Sound effects and music are made with the Web Audio API, so there is nothing
+to download: the effects are short synthesized tones and the music is a loop
+of notes played on an oscillator. The audio never looks at the game itself,
+it only listens to the game events (see GameEvents in core.js).
+
+Browsers don't let a page make sound before the player has interacted with
+it, so the audio context is only created on the first key press or tap.
+*/
+
+// Every effect is a list of tones: the oscillator `wave`, the frequency (in
+// Hz) it slides `from` and `to`, its `duration` and `delay` (in seconds) and
+// its `volume`. The effects are named after the events that play them.
+const SOUND_EFFECTS = {
+  jumped: [
+    { wave: 'square', from: 280, to: 560, duration: 0.15, volume: 0.2 },
+  ],
+  collected: [
+    { wave: 'square', from: 988, duration: 0.07, volume: 0.2 },
+    { wave: 'square', from: 1319, duration: 0.2, delay: 0.07, volume: 0.2 },
+  ],
+  killed: [
+    { wave: 'triangle', from: 400, to: 80, duration: 0.2, volume: 0.5 },
+  ],
+  died: [
+    { wave: 'sawtooth', from: 440, to: 55, duration: 0.7, volume: 0.25 },
+  ],
+  won: [
+    { wave: 'square', from: 523, duration: 0.12, volume: 0.2 },
+    { wave: 'square', from: 659, duration: 0.12, delay: 0.12, volume: 0.2 },
+    { wave: 'square', from: 784, duration: 0.12, delay: 0.24, volume: 0.2 },
+    { wave: 'square', from: 1047, duration: 0.4, delay: 0.36, volume: 0.2 },
+  ],
+};
+
+// The tunes the levels can use (with `music` in their meta). The notes are
+// counted in semitones from A4, null is a rest, and every note lasts half a
+// beat.
+const MUSIC = {
+  meadow: {
+    tempo: 132,
+    wave: 'triangle',
+    notes: [3, 7, 10, 7, 3, 7, 10, 15, 5, 8, 12, 8, 5, 8, 12, null,
+            3, 7, 10, 7, 3, 7, 10, 15, 10, 8, 7, 5, 3, null, 3, null],
+  },
+  cave: {
+    tempo: 96,
+    wave: 'sine',
+    notes: [-12, null, -5, null, -9, null, -5, -7, -12, null, -4, null, -9, null, -7, null],
+  },
+  castle: {
+    tempo: 150,
+    wave: 'square',
+    notes: [0, 0, 3, 0, 5, 0, 3, 0, -2, -2, 2, -2, 3, -2, 2, -2],
+  },
+};
+
+const MUSIC_VOLUME = 0.15;
+
+function noteFrequency(semitones) {
+  return 440 * 2 ** (semitones / 12);
+}
+
+// The tune of a level: the one its meta asks for, or else the tunes take
+// turns by level number
+function levelTune(level, number = 1) {
+  if (level.meta.music in MUSIC) return level.meta.music;
+  let names = Object.keys(MUSIC);
+  return names[(number - 1) % names.length];
+}
+
+class GameAudio {
+  // `settings` are the volumes and mute (see loadAudioSettings in
+  // storage.js), which are saved with `save` whenever they change
+  constructor(settings = loadAudioSettings(), save = saveAudioSettings) {
+    this.settings = settings;
+    this.save = save;
+
+    // Created by `unlock`
+    this.context = null;
+
+    // The name of the tune that should be playing, the timer that keeps
+    // scheduling its notes and the gain its notes go through. While the game
+    // is paused, `musicPaused` is set and the tune waits to go on.
+    this.tune = null;
+    this.musicTimer = null;
+    this.tuneOutput = null;
+    this.musicPaused = false;
+  }
+
+  // Unlocks the audio on the first key press or tap
+  unlockOnInput() {
+    let unlock = () => {
+      this.unlock();
+      window.removeEventListener('keydown', unlock);
+      window.removeEventListener('pointerdown', unlock);
+    };
+    window.addEventListener('keydown', unlock);
+    window.addEventListener('pointerdown', unlock);
+  }
+
+  unlock() {
+    if (this.context) {
+      if (this.context.state === 'suspended') this.context.resume();
+      return;
+    }
+
+    let AudioContext = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContext) return;
+    this.context = new AudioContext();
+
+    // Music and effects have a volume of their own, and both go through the
+    // master volume
+    this.master = this.context.createGain();
+    this.master.connect(this.context.destination);
+    this.music = this.context.createGain();
+    this.music.connect(this.master);
+    this.effects = this.context.createGain();
+    this.effects.connect(this.master);
+    this.applyVolumes();
+
+    // Music that was asked for before the audio was unlocked starts now
+    if (this.tune && !this.musicPaused) this.startMusic(this.tune);
+  }
+
+  applyVolumes() {
+    if (!this.context) return;
+    let { master, music, effects, muted } = this.settings;
+    this.master.gain.value = muted ? 0 : master;
+    this.music.gain.value = music;
+    this.effects.gain.value = effects;
+  }
+
+  // Sets the volume of "master", "music" or "effects" (from 0 to 1)
+  setVolume(channel, volume) {
+    this.settings = { ...this.settings, [channel]: Math.min(1, Math.max(0, volume)) };
+    this.save(this.settings);
+    this.applyVolumes();
+  }
+
+  toggleMute() {
+    this.settings = { ...this.settings, muted: !this.settings.muted };
+    this.save(this.settings);
+    this.applyVolumes();
+  }
+
+  // Plays a tone (see SOUND_EFFECTS) into `output`, starting at `time` on
+  // the audio context's clock
+  tone({ wave, from, to = from, duration, delay = 0, volume }, output, time) {
+    let start = time + delay;
+    let oscillator = this.context.createOscillator();
+    let gain = this.context.createGain();
+
+    oscillator.type = wave;
+    oscillator.frequency.setValueAtTime(from, start);
+    oscillator.frequency.exponentialRampToValueAtTime(to, start + duration);
+
+    // The tone fades out, so that it doesn't end with a click
+    gain.gain.setValueAtTime(volume, start);
+    gain.gain.exponentialRampToValueAtTime(0.001, start + duration);
+
+    oscillator.connect(gain).connect(output);
+    oscillator.start(start);
+    oscillator.stop(start + duration);
+  }
+
+  play(name) {
+    if (!this.context || !SOUND_EFFECTS[name]) return;
+    for (let tone of SOUND_EFFECTS[name]) {
+      this.tone(tone, this.effects, this.context.currentTime);
+    }
+  }
+
+  // Timers are not precise enough to play notes on time, so the notes are
+  // scheduled on the audio clock a little ahead, and the timer only has to
+  // come back before they run out.
+  startMusic(name) {
+    this.stopMusic();
+    this.tune = name;
+    if (!this.context) return;
+
+    let { tempo, wave, notes } = MUSIC[name];
+    let length = 60 / tempo / 2;
+    let next = this.context.currentTime + 0.1;
+    let index = 0;
+
+    // Every tune plays through a gain of its own, so that the notes that are
+    // already scheduled can be cut off at once
+    let output = this.tuneOutput = this.context.createGain();
+    output.connect(this.music);
+
+    let schedule = () => {
+      while (next < this.context.currentTime + 0.5) {
+        let note = notes[index % notes.length];
+        if (note != null) {
+          this.tone({ wave, from: noteFrequency(note), duration: length * 0.9, volume: MUSIC_VOLUME },
+                    output, next);
+        }
+        next += length;
+        index++;
+      }
+    };
+    schedule();
+    this.musicTimer = setInterval(schedule, 200);
+  }
+
+  stopMusic() {
+    this.silenceMusic();
+    this.tune = null;
+    this.musicPaused = false;
+  }
+
+  // Stops the notes of the tune, but not what `tune` should be playing
+  silenceMusic() {
+    clearInterval(this.musicTimer);
+    this.musicTimer = null;
+    if (this.tuneOutput) this.tuneOutput.disconnect();
+    this.tuneOutput = null;
+  }
+
+  pauseMusic() {
+    this.silenceMusic();
+    this.musicPaused = true;
+  }
+
+  // The tune starts over from the beginning
+  resumeMusic() {
+    this.musicPaused = false;
+    if (this.tune) this.startMusic(this.tune);
+  }
+
+  // Plays the effects and the music along with the game
+  listen(events) {
+    events.on('levelstart', ({ level, number }) => this.startMusic(levelTune(level, number)));
+    events.on('levelend', () => this.stopMusic());
+    events.on('pause', () => this.pauseMusic());
+    events.on('resume', () => this.resumeMusic());
+    for (let name of Object.keys(SOUND_EFFECTS)) {
+      events.on(name, () => this.play(name));
+    }
+  }
+}
+
+// There is one audio output for the whole page
+const gameAudio = new GameAudio();
+
+// In Node the audio is used as a module (by the tests).
+if (typeof module !== 'undefined') {
+  module.exports = { SOUND_EFFECTS, MUSIC, MUSIC_VOLUME, noteFrequency, levelTune, GameAudio };
+}
@@ -0,0 +1,137 @@
+/* ================================================================== */
+/* ============================ BENCHMARK =========================== */
+/* ================================================================== */
+
+/*
+Times how long the frames of every level take to play and draw, with each
+display. Open the game with `?benchmark` to see the table, or
+`?benchmark=1200` to play 1200 frames of every level.
+
+The same table can be printed in Node with `node benchmark.js [frames]`.
+There the displays draw into the stand-in document of headless.js, so the
+times leave out the browser's own work, but the counts of canvas calls and
+created elements show what the tile chunks and the reused actor elements of
+display.js save.
+*/
+
+// The frame rate the benchmark plays at
+const BENCHMARK_FRAME_RATE = 60;
+
+/**
+ * Plays a level and measures how long every frame takes: the simulation
+ * steps that fit into the frame, and `draw`, which gets the state to show.
+ * The player holds the same actions all the time, and the level starts over
+ * whenever it's won or lost.
+ *
+ * @param {Level} level the level to play
+ * @param {Object} options
+ *  - `frames` the number of frames to play
+ *  - `actions` the names of the actions that are held
+ *  - `tickRate` the number of simulation steps per second
+ *  - `draw` called with the state at the end of every frame
+ *  - `now` returns the current time in milliseconds
+ * @returns {Object} the number of `frames` and the `mean`, `median` and
+ * `max` time of a frame, in milliseconds
+ */
+function benchmarkLevel(level, {
+  frames = 600,
+  actions = ['right'],
+  tickRate = TICK_RATE,
+  draw = () => {},
+  now = () => performance.now(),
+} = {}) {
+  let held = Object.create(null);
+  for (let action of actions) held[action] = true;
+
+  let step = 1 / tickRate;
+  let accumulator = 0;
+  let state = State.start(level);
+  let times = [];
+
+  for (let i = 0; i < frames; i++) {
+    let start = now();
+
+    accumulator += 1 / BENCHMARK_FRAME_RATE;
+    while (accumulator >= step) {
+      accumulator -= step;
+      state = state.update(step, held);
+    }
+    if (state.status !== 'playing') state = State.start(level);
+    draw(state);
+
+    times.push(now() - start);
+  }
+
+  let sorted = [...times].sort((a, b) => a - b);
+  return {
+    frames,
+    mean: times.reduce((a, b) => a + b, 0) / frames,
+    median: sorted[Math.floor(frames / 2)],
+    max: sorted[frames - 1],
+  };
+}
+
+// Plays every level with every display and shows the frame times in a table
+function runBenchmark(frames = 600) {
+  // The canvas display as it was before its tiles were kept in chunks, for
+  // comparison
+  class UncachedCanvasDisplay extends CanvasDisplay {}
+  UncachedCanvasDisplay.prototype.cacheBackground = false;
+
+  let displays = [CanvasDisplay, UncachedCanvasDisplay, DOMDisplay];
+  let ms = time => time.toFixed(3);
+  let rows = [elt('tr', {}, ...['Level', 'Display', 'Mean', 'Median', 'Max']
+    .map(heading => elt('th', {}, heading)))];
+
+  GAME_LEVELS.forEach((plan, i) => {
+    let level = new Level(plan, 1);
+    for (let Display of displays) {
+      let display = new Display(document.body, level);
+      let { mean, median, max } = benchmarkLevel(level, {
+        frames,
+        draw: state => display.syncState(state),
+      });
+      display.clear();
+      rows.push(elt('tr', {}, ...[String(i + 1), Display.name, ms(mean), ms(median), ms(max)]
+        .map(cell => elt('td', {}, cell))));
+    }
+  });
+
+  document.body.appendChild(elt('div', { class: 'benchmark' },
+    elt('h1', {}, `Milliseconds per frame, over ${frames} frames`),
+    elt('table', {}, ...rows)));
+}
+
+// Prints the table of `runBenchmark`, with the draw calls and the elements
+// created per frame, using the headless runner
+function printBenchmark(frames = 600) {
+  const { HeadlessRunner } = require('./headless');
+  const { GAME_LEVELS } = require('./levels');
+  let displays = [
+    ['CanvasDisplay', { display: 'canvas' }],
+    ['UncachedCanvasDisplay', { display: 'canvas', cacheBackground: false }],
+    ['DOMDisplay', { display: 'dom' }],
+  ];
+
+  let rows = [];
+  GAME_LEVELS.forEach((plan, i) => {
+    let runner = new HeadlessRunner(plan);
+    for (let [name, options] of displays) {
+      let { mean, median, max, drawCalls, elements } = runner.benchmark({ frames, ...options });
+      rows.push({
+        Level: i + 1, Display: name,
+        Mean: mean.toFixed(3), Median: median.toFixed(3), Max: max.toFixed(3),
+        'Draw calls': drawCalls.toFixed(1), Elements: elements.toFixed(2),
+      });
+    }
+  });
+  console.log(`Milliseconds per frame, over ${frames} frames`);
+  console.table(rows);
+}
+
+// In Node the benchmark is used as a module (by headless.js and the tests),
+// or run on its own to print the table.
+if (typeof module !== 'undefined') {
+  module.exports = { BENCHMARK_FRAME_RATE, benchmarkLevel };
+  if (require.main === module) printBenchmark(Number(process.argv[2]) || undefined);
+}
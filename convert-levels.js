@@ -0,0 +1,11 @@
+/*
+Converts the plan strings in GAME_LEVELS into structured (JSON) levels and
+prints them. Run it with `node convert-levels.js > levels.json`.
+*/
+
+const { convertPlan } = require('./core');
+const { GAME_LEVELS } = require('./levels');
+
+let levels = GAME_LEVELS.map((plan, i) => convertPlan(plan, { name: `Level ${i + 1}` }));
+
+console.log(JSON.stringify(levels, null, 2));
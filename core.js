@@ -0,0 +1,1877 @@
+/* 
+A whole game consists of multiple levels that the player must complete. A level is completed when all coins have been collected. If the player touches lava, the current level is restored to its starting position, and the player may try again.
+
+This file holds the core of the game: levels, the state, the actors and the
+rules of motion and collision. It doesn't touch the DOM, so it can be loaded
+in the browser as a plain script or required as a module in Node.
+*/
+
+let simpleLevelPlan = `
+......................
+..#................#..
+..#..............=.#..
+..#.........o.o....#..
+..#.@......#####...#..
+..#####............#..
+......#++++++++++++#..
+......##############..
+......................`;
+/* ==================================================================== */
+/* ========================= READING A LEVEL ========================== */
+/* ==================================================================== */
+class Level {
+  // The `plan` is either a plan string or a structured (JSON) level, see
+  // LEVEL FORMAT below. The `seed` drives the random parts of the level
+  // (like the phase of the coins' wobble), so that the same plan and seed
+  // always produce the same level. Without a seed a random one is picked.
+  constructor(plan, seed = randomSeed()) {
+    // A broken plan is reported with all its problems up front, instead of
+    // failing somewhere halfway through building the level.
+    let errors = validatePlan(plan);
+    if (errors.length) throw new LevelError(errors);
+
+    this.plan = plan;
+    this.seed = seed;
+    let random = createRandom(seed);
+
+    let { grid, meta, actors, triggers } = normalizePlan(plan);
+
+    // The level's name, par time, background color, gravity, music and theme
+    this.meta = meta;
+
+    // The settings of the player's movement (see PHYSICS), with the level's
+    // own gravity and physics settings applied
+    this.physics = { ...PHYSICS };
+    if (meta.gravity != null) this.physics.gravity = meta.gravity;
+    Object.assign(this.physics, meta.physics);
+
+    // Actor properties are looked up by the position of their character
+    let properties = new Map(actors.map(({ x, y, ...props }) => [`${x},${y}`, props]));
+
+    let rows = planRows(grid);
+
+    this.height = rows.length;
+    this.width = rows[0].length;
+
+    // Actors - all moving elements
+    this.startActors = [];
+
+    // Background will be an array of arrays of strings
+    this.rows = rows.map((row, y) => {
+
+      // We're getting x- and y- coordinates from second argument of `map`
+      return row.map((char, x) => {
+
+        // Use `levelChars` object to interpret the character
+        let type = levelChars[char];
+        
+        // If it's a string just return it
+        if (typeof type === 'string') return type;
+
+        // If type is an actor class, `create` method is used to create an object
+        this.startActors.push(
+          // The position of the actor is stored as `Vec` object
+          type.create(new Vec(x, y), char, random, properties.get(`${x},${y}`) || {})
+        );
+
+        // We replace actor with "empty" for the background square
+        return 'empty';
+      });
+    });
+
+    for (let trigger of triggers) this.startActors.push(Trigger.create(trigger));
+
+    // Every actor gets an id (see `keepId`)
+    this.startActors.forEach((actor, i) => { actor.id = i + 1; });
+  }
+}
+
+// Actors are replaced by new objects on every step, so the `id` an actor
+// got from its level is handed on to the actor that takes its place: its
+// update, or something it turned into (like a defeated monster). Displays
+// use the id to follow an actor from frame to frame. Actors made by hand
+// (in the tests) have no id.
+function keepId(actor, id) {
+  if (actor && id != null) actor.id = id;
+  return actor;
+}
+
+// Rows of the plan
+function planRows(plan) {
+  return plan
+    // Remove whitespace so that we can start with new line.
+    .trim()
+    .split('\n')
+    // Spread each line into array array of characters
+    .map(line => [...line]);
+}
+
+/* RANDOM - a small seeded random number generator (mulberry32) */
+// Returns a function that, like `Math.random`, produces numbers between
+// 0 and 1, but always the same sequence for the same seed.
+function createRandom(seed) {
+  let a = seed >>> 0;
+  return function random() {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function randomSeed() {
+  return Math.floor(Math.random() * 4294967296);
+}
+
+/* STATE - tracks the state of running game */
+class State {
+  constructor(level, actors, status, score = Score.start(), events = []) {
+    this.level = level;
+    this.actors = actors;
+
+    // The `status` will switch to "lost" or "won" when game
+    // has ended
+    this.status = status;
+
+    // The points scored so far in this level (see SCORE below)
+    this.score = score;
+
+    // What happened in the step that led to this state (see GAME EVENTS
+    // below)
+    this.events = events;
+  }
+
+  static start(level) {
+    return new State(level, level.startActors, "playing", Score.start());
+  }
+
+  // Starts a level over from a checkpoint (see `checkpoint` below): the
+  // player is back at the checkpoint, the coins collected before it was
+  // touched stay collected and their points are kept.
+  static respawn(level, checkpoint) {
+    let coins = new Set(checkpoint.coins.map(([x, y]) => `${x},${y}`));
+    let atCheckpoint = square => square.x === checkpoint.x && square.y === checkpoint.y;
+
+    let actors = level.startActors
+      .filter(actor => actor.type !== "coin" ||
+                       coins.has(`${Math.floor(actor.basePos.x)},${Math.floor(actor.basePos.y)}`))
+      .map(actor => {
+        if (actor.type === "player") {
+          return keepId(Player.create(new Vec(checkpoint.x, checkpoint.y)), actor.id);
+        }
+        if (actor.type === "checkpoint" && atCheckpoint(actor.square)) {
+          return keepId(new Checkpoint(actor.pos, checkpoint), actor.id);
+        }
+        return actor;
+      });
+
+    let score = new Score(checkpoint.coinPoints, checkpoint.stompPoints, 0, 0);
+    return new State(level, actors, "playing", score);
+  }
+
+  get player() {
+    return this.actors.find(actor => actor.type === "player");
+  }
+
+  // Returns a state where `actor` is swapped for `replacement`, or removed
+  // when `replacement` is null. Used by the `collide` methods of actors to
+  // change other actors (like bouncing the player).
+  replace(actor, replacement) {
+    let actors = replacement
+      ? this.actors.map(a => a === actor ? keepId(replacement, actor.id) : a)
+      : this.actors.filter(a => a !== actor);
+    return new State(this.level, actors, this.status, this.score, this.events);
+  }
+
+  // Returns a state with an event added to the events of the step
+  emit(event) {
+    return new State(this.level, this.actors, this.status, this.score, [...this.events, event]);
+  }
+
+  // Returns a state where the level is lost, because of `cause` ("lava",
+  // "monster", "crushed" or "trigger")
+  lose(cause) {
+    let player = this.player;
+    return new State(this.level, this.actors, 'lost', this.score, this.events)
+      .emit({ type: 'died', cause, pos: player && player.pos });
+  }
+
+  // The number of coins that still have to be collected
+  get coinsLeft() {
+    return this.actors.filter(actor => actor.type === "coin").length;
+  }
+
+  // What the last checkpoint the player touched saved, or null when no
+  // checkpoint was touched yet. It only holds plain data, so that it can be
+  // stored in a replay.
+  get checkpoint() {
+    let active = this.actors.find(actor => actor.type === "checkpoint" && actor.active);
+    return active ? active.saved : null;
+  }
+}
+
+/* SCORE - the points scored in a level */
+const COIN_POINTS = 100;
+const STOMP_POINTS = 200;
+
+// Coins collected within `COMBO_TIME` seconds of each other build a combo,
+// which multiplies the points of the next coin (up to `MAX_COMBO` times)
+const COMBO_TIME = 1;
+const MAX_COMBO = 5;
+
+// At the end of a level, every second under the par time is worth
+// `TIME_BONUS_POINTS`, and finishing without dying `NO_DEATH_BONUS`.
+// Levels without a par time of their own get `PAR_TIME_PER_COIN` seconds
+// for every coin.
+const TIME_BONUS_POINTS = 50;
+const NO_DEATH_BONUS = 1000;
+const PAR_TIME_PER_COIN = 3;
+
+class Score {
+  constructor(coinPoints, stompPoints, combo, comboTime) {
+    this.coinPoints = coinPoints;
+    this.stompPoints = stompPoints;
+
+    // The current combo multiplier and the time left to extend it
+    this.combo = combo;
+    this.comboTime = comboTime;
+  }
+
+  static start() {
+    return new Score(0, 0, 0, 0);
+  }
+
+  get points() {
+    return this.coinPoints + this.stompPoints;
+  }
+
+  // Runs down the combo time, the combo ends when it's over
+  tick(time) {
+    if (this.combo === 0) return this;
+
+    let comboTime = this.comboTime - time;
+    if (comboTime <= 0) return new Score(this.coinPoints, this.stompPoints, 0, 0);
+    return new Score(this.coinPoints, this.stompPoints, this.combo, comboTime);
+  }
+
+  collectCoin() {
+    let combo = Math.min(this.combo + 1, MAX_COMBO);
+    return new Score(this.coinPoints + COIN_POINTS * combo, this.stompPoints,
+                     combo, COMBO_TIME);
+  }
+
+  // `chain` is the number of monsters stomped in a row, each is worth more
+  stomp(chain) {
+    return new Score(this.coinPoints, this.stompPoints + STOMP_POINTS * chain,
+                     this.combo, this.comboTime);
+  }
+}
+
+function parTime(level) {
+  if (level.meta.parTime != null) return level.meta.parTime;
+
+  let coins = level.startActors.filter(actor => actor.type === 'coin').length;
+  return coins * PAR_TIME_PER_COIN;
+}
+
+// Formats a number of seconds as m:ss.t (for the HUD and the screens). The
+// time is rounded to tenths first, so that 59.96 seconds make 1:00.0.
+function formatTime(seconds) {
+  let tenths = Math.round(seconds * 10);
+  let minutes = Math.floor(tenths / 600);
+  let rest = ((tenths - minutes * 600) / 10).toFixed(1).padStart(4, '0');
+  return `${minutes}:${rest}`;
+}
+
+/**
+ * Adds up the points of a won level.
+ *
+ * @param {State} state the final state of the level
+ * @param {Object} result the `time` (in seconds) the level took and the
+ * number of `deaths` in the level before it was won
+ * @returns {Object} the points for `coins` and `stomps`, the `timeBonus`, the
+ * `noDeathBonus` and the `total`, along with the `parTime`
+ */
+function levelTally(state, { time, deaths }) {
+  let par = parTime(state.level);
+  let tally = {
+    coins: state.score.coinPoints,
+    stomps: state.score.stompPoints,
+    parTime: par,
+    timeBonus: Math.max(0, Math.floor(par - time)) * TIME_BONUS_POINTS,
+    noDeathBonus: deaths === 0 ? NO_DEATH_BONUS : 0,
+  };
+  tally.total = tally.coins + tally.stomps + tally.timeBonus + tally.noDeathBonus;
+  return tally;
+}
+
+/* ========================================================================= */
+/* =============================== ACTORS ================================== */
+/* ========================================================================= */
+
+/* VEC - creates two-dimensional vector */
+class Vec {
+  constructor(x, y) {
+    this.x = x;
+    this.y = y;
+  }
+
+  plus(other) {
+    return new Vec(this.x + other.x, this.y + other.y);
+  }
+
+  // Scales a vector by a given number. It will be useful when we need
+  // to multiply a speed vector by a time interval to get the distance
+  // during that time
+  times(factor) {
+    return new Vec(this.x * factor, this.y * factor);
+  }
+}
+
+/* =============================== PLAYER ================================== */
+class Player {
+  constructor(pos, speed, invulnerable = 0, stomps = 0,
+              airTime = Infinity, sinceJumpKey = Infinity, rising = false, bumped = false) {
+    this.pos = pos;
+
+    // `speed` is used to simulate momentum and gravity
+    this.speed = speed;
+
+    // After stomping a monster the player can't be hurt by monsters for a
+    // moment. `invulnerable` is the time (in seconds) left.
+    this.invulnerable = invulnerable;
+
+    // The number of monsters stomped since the player last stood on the
+    // ground, which makes every next bounce of a chain a little higher
+    this.stomps = stomps;
+
+    // The time (in seconds) since the player last stood on something, and
+    // since the jump key was last held. They allow jumping just after
+    // walking off a ledge and just before landing. `rising` is true while
+    // the player goes up from a jump, which can still be cut short.
+    this.airTime = airTime;
+    this.sinceJumpKey = sinceJumpKey;
+    this.rising = rising;
+
+    // Whether the player's way up was blocked in the last step, meaning it
+    // bumped its head
+    this.bumped = bumped;
+  }
+
+  get type() { return "player"; } 
+
+  static create(pos) {
+    return new Player(
+      // pos: Because a player is one-and-a-half squares high, its initial
+      // position is set to be half a square above the position where @
+      // appeared   
+      pos.plus(new Vec(0, -0.5)),
+      // Initial speed i zero
+      new Vec(0, 0)
+    );
+  }
+}
+
+// The `size` property is the same for all instances of `Player`,
+// we store it on its prototype
+Player.prototype.size = new Vec(0.8, 1.5);
+
+/* =============================== LAVA ================================== */
+class Lava {
+  constructor(pos, speed, reset) {
+    this.pos = pos;
+    this.speed = speed;
+
+    // Dynamic lava moves along at its current speed until it hits
+    // an obstacle. If it has a reset property it will jump back
+    // to its starting position (dripping). 
+    // Otherwise, it will invert its speed and continue in the other
+    // direction (bouncing).
+    this.reset = reset;
+  }
+
+  get type() { return "lava"; }
+
+  // Initialize the object differently depending on the character 
+  // it is based on. Structured levels can set a different `speed`.
+  static create(pos, char, random, { speed } = {}) {
+    if (char === "=") return new Lava(pos, new Vec(speed ?? 2, 0));
+    else if (char === "|") return new Lava(pos, new Vec(0, speed ?? 2));
+    else if (char === "v") return new Lava(pos, new Vec(0, speed ?? 3), pos);
+  }
+}
+
+Lava.prototype.size = new Vec(1, 1);
+
+// The properties structured levels may set for lava, with their types
+Lava.properties = { speed: 'positive' };
+
+/* =============================== COIN ================================== */
+class Coin {
+  // To liven up the game a little, coins are given `wobble` property,
+  // a slight vertical back-and-forth motion.
+  constructor(pos, basePos, wobble) {
+    this.pos = pos;
+    
+    // `basePos` and `wobble` determine the coin's actual position
+    // that is stored in `pos` 
+    this.basePos = basePos;
+    // Tracks the phase of bouncing motion.
+    this.wobble = wobble;
+  }
+
+  get type() { return "coin"; }
+
+  // `random` is the level's seeded random number generator
+  static create(pos, char, random = Math.random) {
+    let basePos = pos.plus(new Vec(0.2, 0.1));
+
+    return new Coin(
+      basePos, 
+      basePos, 
+      // Math.sin gives us the y-coordinate of a point on a circle.
+      // That coordinate goes back and forth in a smooth waveform as
+      // we move along the circle, which makes the sine function useful
+      // for modeling a wavy motion.
+
+      // To avoid a situation where all coins move up and down 
+      // synchronously, the starting phase of each coin is randomized. The 
+      // phase of Math.sin’s wave, the width of a wave it produces, is 2π. 
+      // We multiply the value returned by `random` by that number to 
+      // give the coin a random starting position on the wave.
+      random() * Math.PI * 2
+    );
+  }
+}
+
+Coin.prototype.size = new Vec(0.6, 0.6);
+
+/* ================================= MONSTER =============================== */
+// Monsters walk at `MONSTER_SPEED`, and run at `MONSTER_CHASE_SPEED` when
+// they chase the player
+const MONSTER_SPEED = 2;
+const MONSTER_CHASE_SPEED = 4;
+const MONSTER_JUMP_SPEED = 12;
+
+// How far (in squares, horizontally and vertically) a chasing monster sees
+const MONSTER_SIGHT = { x: 8, y: 4 };
+
+// Every behavior is picked with its own character in the plan:
+// - patrol: walks back and forth between walls
+// - ledge:  like patrol, but also turns around before it would fall off a ledge
+// - chase:  runs toward the player when it sees it, otherwise acts like ledge
+// - jump:   like patrol, but keeps hopping
+const MONSTER_BEHAVIORS = {
+  'M': 'chase',
+  'W': 'patrol',
+  'E': 'ledge',
+  'J': 'jump',
+};
+
+class Monster {
+  constructor(pos, speed, behavior, walkSpeed = Math.abs(speed.x)) {
+    this.pos = pos;
+
+    // Monsters fall like the player, so their speed has a vertical part too.
+    // The sign of the horizontal part is the direction they walk in.
+    this.speed = speed;
+    this.behavior = behavior;
+
+    // The speed the monster walks at when it isn't chasing the player. It's
+    // kept apart from `speed`, which is faster while chasing.
+    this.walkSpeed = walkSpeed;
+  }
+
+  get type() {
+    return 'monster';
+  }
+
+  // Monsters are two squares high, so they stand on the bottom of the square
+  // below their character. Structured levels can set the `behavior` and
+  // the walking `speed` (a speed of 0 makes a monster that stands still).
+  static create(pos, char, random, { behavior, speed = MONSTER_SPEED } = {}) {
+    return new Monster(pos.plus(new Vec(0, -1)), new Vec(speed, 0),
+                       behavior || MONSTER_BEHAVIORS[char] || 'patrol');
+  }
+
+  // Whether the player is close enough for a chasing monster to go after it
+  sees(player) {
+    let center = this.pos.plus(this.size.times(0.5));
+    let target = player.pos.plus(player.size.times(0.5));
+
+    return Math.abs(target.x - center.x) <= MONSTER_SIGHT.x &&
+           Math.abs(target.y - center.y) <= MONSTER_SIGHT.y;
+  }
+
+  // Whether there is no floor (or platform) right in front of the monster's
+  // feet
+  atLedge(pos, direction, level) {
+    let footX = direction > 0 ? pos.x + this.size.x : pos.x - 0.1;
+    return !level.touches(new Vec(footX, pos.y + this.size.y), new Vec(0.1, 0.1),
+                          [...SOLID_TILES, 'platform']);
+  }
+
+  // Whether moving from `pos` to `moved` stops the monster on the ground.
+  // Like the player, monsters land on one-way platforms from above.
+  blocked(pos, moved, level) {
+    return level.touches(moved, this.size, SOLID_TILES) ||
+           (moved.y > pos.y && level.landsOn(pos, moved, this.size, 'platform'));
+  }
+
+  update(time, state) {
+    let level = state.level;
+    let player = state.player;
+    let pos = this.pos;
+
+    let direction = Math.sign(this.speed.x) || 1;
+    let walkSpeed = this.walkSpeed;
+    let onGround = this.blocked(pos, pos.plus(new Vec(0, 0.05)), level);
+
+    let chasing = this.behavior === 'chase' && player && this.sees(player);
+    if (chasing) {
+      direction = player.pos.x < pos.x ? -1 : 1;
+      walkSpeed = Math.max(walkSpeed, MONSTER_CHASE_SPEED);
+    }
+
+    // Walking monsters that care about ledges turn around before stepping
+    // off. A chasing monster follows the player off the ledge.
+    let turnsAtLedges = this.behavior === 'ledge' || (this.behavior === 'chase' && !chasing);
+    if (turnsAtLedges && onGround && this.atLedge(pos, direction, level)) {
+      direction = -direction;
+    }
+
+    // x-axis: walls turn the monster around
+    let movedX = pos.plus(new Vec(direction * walkSpeed * time, 0));
+    if (!level.touches(movedX, this.size, SOLID_TILES)) {
+      pos = movedX;
+    } else if (!chasing) {
+      direction = -direction;
+    }
+
+    // y-axis: gravity, just like for the player
+    let ySpeed = this.speed.y + time * level.physics.gravity;
+    let movedY = pos.plus(new Vec(0, ySpeed * time));
+
+    if (!this.blocked(pos, movedY, level)) {
+      pos = movedY;
+    } else if (this.behavior === 'jump' && ySpeed > 0) {
+      ySpeed = -MONSTER_JUMP_SPEED;
+    } else {
+      ySpeed = 0;
+    }
+
+    return new Monster(pos, new Vec(direction * walkSpeed, ySpeed), this.behavior, this.walkSpeed);
+  }
+
+  // Landing on top of a monster defeats it and bounces the player up, any
+  // other touch loses the level (unless the player just stomped a monster).
+  collide(state) {
+    let player = state.player;
+     
+    if (player.pos.y + player.size.y < this.pos.y + .5) {
+      let stomps = player.stomps + 1;
+      let bounce = Math.min(STOMP_SPEED + (stomps - 1) * STOMP_CHAIN_BONUS, STOMP_MAX_SPEED);
+      let bounced = new Player(player.pos, new Vec(player.speed.x, -bounce),
+                               STOMP_INVULNERABLE_TIME, stomps,
+                               player.airTime, player.sinceJumpKey);
+
+      let stomped = state
+        .replace(this, Defeat.create(this))
+        .replace(player, bounced);
+      return new State(stomped.level, stomped.actors, stomped.status,
+                       state.score.stomp(stomps), stomped.events)
+        .emit({ type: 'killed', actor: this, pos: this.pos });
+    } else if (player.invulnerable > 0) {
+      return state;
+    } else {
+      return state.lose('monster');
+    }
+  }
+}
+
+Monster.prototype.size = new Vec(1.2, 2);
+
+// The speed the player bounces up with after a stomp, a bit more for every
+// monster in a chain of stomps (up to a maximum)
+const STOMP_SPEED = 12;
+const STOMP_CHAIN_BONUS = 2;
+const STOMP_MAX_SPEED = 18;
+const STOMP_INVULNERABLE_TIME = 0.3;
+
+/* ========================= DEFEATED MONSTER =========================== */
+// A defeated monster doesn't disappear at once: it is squashed flat over
+// a short time and then removed from the level.
+const DEFEAT_TIME = 0.4;
+
+class Defeat {
+  constructor(pos, size, time) {
+    this.pos = pos;
+    this.size = size;
+
+    // The time (in seconds) the animation still runs
+    this.time = time;
+  }
+
+  get type() { return "defeat"; }
+
+  static create(monster) {
+    return new Defeat(monster.pos, monster.size, DEFEAT_TIME);
+  }
+
+  // Returning null removes the actor from the state
+  update(time) {
+    let left = this.time - time;
+    return left > 0 ? new Defeat(this.pos, this.size, left) : null;
+  }
+
+  // Defeated monsters are harmless
+  collide(state) {
+    return state;
+  }
+}
+
+// The properties structured levels may set for monsters, with their types
+Monster.properties = { behavior: 'string', speed: 'number' };
+
+/* =============================== TRIGGER ================================= */
+// An invisible area of a structured level that does something when the
+// player enters it: `win` ends the level as won (an exit), `lose` as lost
+// (a pit).
+class Trigger {
+  constructor(pos, size, action) {
+    this.pos = pos;
+    this.size = size;
+    this.action = action;
+  }
+
+  get type() { return "trigger"; }
+
+  static create({ x, y, width = 1, height = 1, action }) {
+    return new Trigger(new Vec(x, y), new Vec(width, height), action);
+  }
+
+  update() {
+    return this;
+  }
+
+  collide(state) {
+    if (this.action !== 'win') return state.lose('trigger');
+    return new State(state.level, state.actors, 'won', state.score, state.events)
+      .emit({ type: 'won' });
+  }
+}
+
+const TRIGGER_ACTIONS = ['win', 'lose'];
+
+/* ============================== CHECKPOINT =============================== */
+// A flag that becomes the place the player respawns at after dying, once it
+// has been touched.
+class Checkpoint {
+  constructor(pos, saved = null) {
+    this.pos = pos;
+
+    // An active checkpoint saves its square, the coins that were left and
+    // the points scored when it was touched. It's null while inactive.
+    this.saved = saved;
+  }
+
+  get type() { return "checkpoint"; }
+
+  get active() {
+    return this.saved !== null;
+  }
+
+  // The flag is two squares high, standing on the bottom of its square
+  static create(pos) {
+    return new Checkpoint(pos.plus(new Vec(0, -1)));
+  }
+
+  // The square of the checkpoint's character, where the player respawns
+  get square() {
+    return this.pos.plus(new Vec(0, 1));
+  }
+
+  update() {
+    return this;
+  }
+
+  // Touching a checkpoint activates it, and only the last one touched stays
+  // active.
+  collide(state) {
+    if (this.active) return state;
+
+    let saved = {
+      x: this.square.x,
+      y: this.square.y,
+      coins: state.actors
+        .filter(actor => actor.type === "coin")
+        .map(coin => [Math.floor(coin.basePos.x), Math.floor(coin.basePos.y)]),
+      coinPoints: state.score.coinPoints,
+      stompPoints: state.score.stompPoints,
+    };
+
+    let actors = state.actors.map(actor => {
+      if (actor === this) return new Checkpoint(this.pos, saved);
+      if (actor.type === "checkpoint" && actor.active) return new Checkpoint(actor.pos);
+      return actor;
+    });
+    return new State(state.level, actors, state.status, state.score, state.events);
+  }
+}
+
+Checkpoint.prototype.size = new Vec(1, 2);
+
+/* ============================ MOVING PLATFORM ============================ */
+// Platforms are solid actors: the player can't move through them, stands on
+// them and is carried along when they move. They move back and forth between
+// walls like lava does, or follow a path set in a structured level.
+const PLATFORM_SPEED = 2;
+const PLATFORM_WIDTH = 2;
+const PLATFORM_HEIGHT = 0.5;
+
+class MovingPlatform {
+  constructor(pos, speed, size, route = null) {
+    this.pos = pos;
+    this.speed = speed;
+    this.size = size;
+
+    // A platform that follows a path has a `route`: the `points` of the path
+    // (starting with its own square), the index of the `next` point it heads
+    // for and the `rate` it moves at. It loops back to the start at the end.
+    this.route = route;
+  }
+
+  get type() { return "moving-platform"; }
+
+  // The platform starts at the top of its square and reaches to the right.
+  // Structured levels can set the `speed`, the `width` and a `path` of
+  // squares to visit.
+  static create(pos, char, random, { speed = PLATFORM_SPEED, width = PLATFORM_WIDTH, path } = {}) {
+    let size = new Vec(width, PLATFORM_HEIGHT);
+
+    if (path) {
+      let points = [pos, ...path.map(({ x, y }) => new Vec(x, y))];
+      return new MovingPlatform(pos, new Vec(0, 0), size, { points, next: 1, rate: speed });
+    }
+    return new MovingPlatform(pos, char === 'P' ? new Vec(speed, 0) : new Vec(0, speed), size);
+  }
+
+  update(time, state) {
+    if (this.route) return this.follow(time);
+
+    let moved = this.pos.plus(this.speed.times(time));
+    if (!state.level.touches(moved, this.size, SOLID_TILES)) {
+      return new MovingPlatform(moved, this.speed, this.size);
+    }
+    return new MovingPlatform(this.pos, this.speed.times(-1), this.size);
+  }
+
+  // Moves along the route, ignoring walls. When a point is reached, the rest
+  // of the step goes toward the point after it.
+  follow(time) {
+    let { points, next, rate } = this.route;
+    let pos = this.pos;
+    let left = rate * time;
+
+    for (let i = 0; i < points.length; i++) {
+      let toGo = points[next].plus(pos.times(-1));
+      let distance = Math.hypot(toGo.x, toGo.y);
+
+      if (distance > left) {
+        pos = pos.plus(toGo.times(left / distance));
+        break;
+      }
+      pos = points[next];
+      left -= distance;
+      next = (next + 1) % points.length;
+    }
+
+    let speed = pos.plus(this.pos.times(-1)).times(1 / time);
+    return new MovingPlatform(pos, speed, this.size, { points, next, rate });
+  }
+
+  // A platform that moves into the player pushes it out the shortest way.
+  // A player that is pushed into a wall is crushed.
+  collide(state) {
+    let player = state.player;
+    let pushes = [
+      new Vec(this.pos.x - (player.pos.x + player.size.x), 0),
+      new Vec(this.pos.x + this.size.x - player.pos.x, 0),
+      new Vec(0, this.pos.y - (player.pos.y + player.size.y)),
+      new Vec(0, this.pos.y + this.size.y - player.pos.y),
+    ];
+    let length = push => Math.abs(push.x) + Math.abs(push.y);
+    let push = pushes.reduce((a, b) => length(b) < length(a) ? b : a);
+
+    // Standing right on top of the platform isn't an overlap
+    if (length(push) < SOLID_MARGIN) return state;
+
+    let pos = player.pos.plus(push);
+    if (state.level.touches(pos, player.size, SOLID_TILES)) {
+      return state.lose('crushed');
+    }
+
+    // Being pushed up or down stops the player's fall or jump
+    let speed = player.speed;
+    if (push.y < 0) speed = new Vec(speed.x, 0);
+    else if (push.y > 0) speed = new Vec(speed.x, Math.max(speed.y, 0));
+
+    let pushed = new Player(pos, speed, player.invulnerable, player.stomps,
+                            player.airTime, player.sinceJumpKey, player.rising);
+    return state.replace(player, pushed);
+  }
+}
+
+MovingPlatform.prototype.solid = true;
+
+// The properties structured levels may set for platforms, with their types
+MovingPlatform.properties = { speed: 'number', width: 'positive', path: 'points' };
+
+/* LEVEL CHARACTERS */
+const levelChars = {
+  // Empty space
+  '.': 'empty',
+  // Walls
+  '#': 'wall',
+  // Lava
+  '+': 'lava',
+  // One-way platforms, which can be jumped through from below
+  '-': 'platform',
+  // Ice, a slippery floor
+  'i': 'ice',
+  // Springs, which launch the player up when it lands on them
+  '^': 'spring',
+  // Ladders, which can be climbed with the jump and down actions
+  'H': 'ladder',
+  // Blocks that break when the player hits them from below
+  'B': 'breakable',
+  // Player's starting position
+  '@': Player,
+  // Coins
+  'o': Coin,
+  // Block of lava that moves back and forth horizontally
+  '=': Lava,
+  // Vertically moving blobs
+  '|': Lava,
+  // Dripping lava - vertically moving lava that doesn’t bounce back and forth but only
+  // moves down, jumping back to its start position when it hits the floor.
+  'v': Lava,
+  // Monsters, one character for each behavior (see `MONSTER_BEHAVIORS`)
+  'M': Monster,
+  'W': Monster,
+  'E': Monster,
+  'J': Monster,
+  // Moving platforms, going back and forth horizontally or vertically
+  'P': MovingPlatform,
+  'U': MovingPlatform,
+  // Checkpoints, where the player respawns after dying
+  'C': Checkpoint,
+};
+
+// The tiles that nothing can move through. The area outside of the level
+// counts as wall.
+const SOLID_TILES = ['wall', 'ice', 'spring', 'breakable'];
+
+/* ========================================================================= */
+/* ========================= VALIDATING A PLAN ============================= */
+/* ========================================================================= */
+
+// Thrown by the `Level` constructor for a plan that can't be played. The
+// `errors` are the ones returned by `validatePlan`.
+class LevelError extends Error {
+  constructor(errors) {
+    super('Invalid level plan:\n' + errors.map(formatPlanError).join('\n'));
+    this.name = 'LevelError';
+    this.errors = errors;
+  }
+}
+
+function formatPlanError({ line, column, message }) {
+  if (line == null) return message;
+  if (column == null) return `line ${line}: ${message}`;
+  return `line ${line}, column ${column}: ${message}`;
+}
+
+/**
+ * Checks whether a plan can be turned into a playable level.
+ *
+ * @param {String} plan a level plan
+ * @returns {Array} the problems found, as objects with a `message` and, where
+ * it applies, the `line` and `column` (counted from 1, in the trimmed plan).
+ * The array is empty when the plan is fine.
+ */
+function validatePlan(plan) {
+  if (plan !== null && typeof plan === 'object') return validateStructuredPlan(plan);
+
+  if (typeof plan !== 'string' || plan.trim() === '') {
+    return [{ message: 'the plan is empty' }];
+  }
+
+  let errors = [];
+  let rows = planRows(plan);
+  let width = rows[0].length;
+  let players = [];
+  let coins = 0;
+
+  rows.forEach((row, y) => {
+    if (row.length !== width) {
+      errors.push({
+        line: y + 1,
+        message: `the row is ${row.length} characters long, but the first row is ${width}`,
+      });
+    }
+
+    row.forEach((char, x) => {
+      if (!(char in levelChars)) {
+        errors.push({ line: y + 1, column: x + 1, message: `unknown character ${JSON.stringify(char)}` });
+      } else if (levelChars[char] === Player) {
+        players.push({ x, y });
+      } else if (levelChars[char] === Coin) {
+        coins++;
+      }
+    });
+  });
+
+  if (players.length === 0) {
+    errors.push({ message: 'the plan has no player (@)' });
+  }
+
+  for (let player of players.slice(1)) {
+    errors.push({ line: player.y + 1, column: player.x + 1, message: 'there is more than one player (@)' });
+  }
+
+  // The player is one-and-a-half squares high, so it also takes up part of
+  // the square above the @, which has to be free as well.
+  for (let { x, y } of players) {
+    let above = y > 0 ? rows[y - 1][x] : null;
+
+    if (above === null || SOLID_TILES.includes(levelChars[above])) {
+      errors.push({ line: y + 1, column: x + 1, message: 'the player starts inside a wall' });
+    }
+  }
+
+  if (coins === 0) {
+    errors.push({ message: 'the plan has no coins, so the level can never be won' });
+  }
+
+  return errors;
+}
+
+/* ========================================================================= */
+/* ============================= LEVEL FORMAT ============================== */
+/* ========================================================================= */
+
+/*
+Besides plain plan strings, levels can be written as structured (JSON) objects,
+which embed the same grid and add what the grid can't express:
+
+{
+  "format": "platform-level",
+  "version": 1,
+  "meta": { "name": "The Pit", "parTime": 30, "background": "#223", "gravity": 25,
+            "physics": { "jumpSpeed": 15 } },
+  "grid": ["......", ".@..o.", "######"],
+  "actors": [{ "x": 3, "y": 1, "speed": 4 }],
+  "triggers": [{ "x": 0, "y": 2, "width": 6, "height": 1, "action": "lose" }]
+}
+
+- `grid` is the plan, as a string or as an array of rows
+- `meta` holds the level's settings, all of them optional. `physics` changes
+  any of the settings in PHYSICS for the level. `music` names one of the
+  tunes in audio.js and `theme` one of the THEMES in themes.js (unknown
+  names get the defaults).
+- `actors` sets properties for the actor at a square of the grid (the
+  properties an actor accepts are listed in its class's `properties`), for
+  example a moving platform's `path`: [{ "x": 8, "y": 2 }, { "x": 8, "y": 6 }]
+- `triggers` are areas that win or lose the level when the player enters them
+*/
+const LEVEL_FORMAT = 'platform-level';
+const LEVEL_FORMAT_VERSION = 1;
+
+// The settings of a level that has none of its own
+const DEFAULT_META = {
+  name: null,
+  parTime: null,
+  background: null,
+  gravity: null,
+  physics: null,
+  music: null,
+  theme: null,
+};
+
+// The types of the settings in `meta`
+const META_TYPES = {
+  name: 'string',
+  parTime: 'number',
+  background: 'string',
+  gravity: 'number',
+  physics: 'object',
+  music: 'string',
+  theme: 'string',
+};
+
+// Turns either kind of plan into the parts of a structured level, with the
+// grid as a string.
+function normalizePlan(plan) {
+  if (typeof plan === 'string') {
+    return { grid: plan, meta: { ...DEFAULT_META }, actors: [], triggers: [] };
+  }
+
+  return {
+    grid: Array.isArray(plan.grid) ? plan.grid.join('\n') : plan.grid,
+    meta: { ...DEFAULT_META, ...plan.meta },
+    actors: plan.actors || [],
+    triggers: plan.triggers || [],
+  };
+}
+
+/**
+ * Converts a plan string into a structured level.
+ *
+ * @param {String} plan a plan string
+ * @param {Object} meta the settings for the level
+ * @returns {Object} the structured level
+ */
+function convertPlan(plan, meta = {}) {
+  return {
+    format: LEVEL_FORMAT,
+    version: LEVEL_FORMAT_VERSION,
+    meta: { ...meta },
+    grid: plan.trim().split('\n'),
+    actors: [],
+    triggers: [],
+  };
+}
+
+// Besides the types of `typeof`, actor properties can be 'points': a list of
+// squares, each an object with an x and y, or 'positive': a number above 0
+// (for things that would get stuck or turn inside out at 0 or below).
+const PROPERTY_TYPE_NAMES = { points: 'list of {x, y} points', positive: 'positive number' };
+
+function hasPropertyType(value, type) {
+  if (type === 'positive') {
+    return typeof value === 'number' && value > 0 && Number.isFinite(value);
+  }
+  if (type === 'points') {
+    return Array.isArray(value) && value.length > 0 &&
+           value.every(point => point != null &&
+                                typeof point.x === 'number' && typeof point.y === 'number');
+  }
+  return typeof value === type;
+}
+
+// Objects as they come from JSON, not null or arrays
+function isPlainObject(value) {
+  return value != null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function validateStructuredPlan(plan) {
+  if (plan.format !== LEVEL_FORMAT || plan.version !== LEVEL_FORMAT_VERSION) {
+    return [{ message: `not a ${LEVEL_FORMAT} level of version ${LEVEL_FORMAT_VERSION}` }];
+  }
+
+  let grid = Array.isArray(plan.grid) ? plan.grid.join('\n') : plan.grid;
+  let errors = validatePlan(grid);
+  if (errors.length) return errors;
+
+  let { meta = {}, actors = [], triggers = [] } = plan;
+  let rows = planRows(grid);
+
+  // Pack files come from anywhere, so the parts are checked to have the
+  // right shape before they are looked into
+  if (!isPlainObject(meta)) {
+    errors.push({ message: 'meta should be an object' });
+    meta = {};
+  }
+  if (!Array.isArray(actors)) {
+    errors.push({ message: 'actors should be a list' });
+    actors = [];
+  }
+  if (!Array.isArray(triggers)) {
+    errors.push({ message: 'triggers should be a list' });
+    triggers = [];
+  }
+
+  for (let key of Object.keys(meta)) {
+    if (!(key in META_TYPES)) {
+      errors.push({ message: `unknown setting "${key}" in meta` });
+    } else if (typeof meta[key] !== META_TYPES[key]) {
+      errors.push({ message: `the setting "${key}" should be a ${META_TYPES[key]}` });
+    }
+  }
+
+  for (let key of Object.keys(meta.physics || {})) {
+    if (!(key in PHYSICS)) {
+      errors.push({ message: `unknown physics setting "${key}"` });
+    } else if (typeof meta.physics[key] !== 'number') {
+      errors.push({ message: `the physics setting "${key}" should be a number` });
+    }
+  }
+
+  actors.forEach((actor, i) => {
+    if (!isPlainObject(actor)) {
+      errors.push({ message: `actor ${i + 1} should be an object` });
+      return;
+    }
+
+    let { x, y, ...props } = actor;
+    if (!Number.isInteger(x) || !Number.isInteger(y)) {
+      errors.push({ message: `actor ${i + 1} needs an x and y position` });
+      return;
+    }
+
+    let type = rows[y] && levelChars[rows[y][x]];
+    if (typeof type !== 'function') {
+      errors.push({ line: y + 1, column: x + 1, message: 'actor properties are given, but there is no actor here' });
+      return;
+    }
+
+    let allowed = type.properties || {};
+    for (let key of Object.keys(props)) {
+      if (!(key in allowed)) {
+        errors.push({ line: y + 1, column: x + 1, message: `unknown property "${key}" for ${type.name}` });
+      } else if (!hasPropertyType(props[key], allowed[key])) {
+        let name = PROPERTY_TYPE_NAMES[allowed[key]] || allowed[key];
+        errors.push({ line: y + 1, column: x + 1, message: `the property "${key}" should be a ${name}` });
+      }
+    }
+  });
+
+  triggers.forEach((trigger, i) => {
+    if (!isPlainObject(trigger)) {
+      errors.push({ message: `trigger ${i + 1} should be an object` });
+      return;
+    }
+    if (!TRIGGER_ACTIONS.includes(trigger.action)) {
+      errors.push({ message: `trigger ${i + 1} has an unknown action "${trigger.action}"` });
+    }
+    if (typeof trigger.x !== 'number' || typeof trigger.y !== 'number') {
+      errors.push({ message: `trigger ${i + 1} needs an x and y position` });
+    }
+    for (let key of ['width', 'height']) {
+      if (key in trigger && typeof trigger[key] !== 'number') {
+        errors.push({ message: `the ${key} of trigger ${i + 1} should be a number` });
+      }
+    }
+  });
+
+  return errors;
+}
+
+/* ========================================================================= */
+/* ============================== LEVEL PACKS ============================== */
+/* ========================================================================= */
+
+/*
+A level pack is a campaign: a manifest with a title, an author and the levels
+in the order they are played.
+
+{
+  "format": "platform-pack",
+  "version": 1,
+  "id": "caves",
+  "title": "The Caves",
+  "author": "Someone",
+  "levels": ["\n..@..o..\n########\n", { "format": "platform-level", ... }]
+}
+
+The levels are plan strings or structured levels. Packs loaded from a URL may
+also refer to level files next to the manifest, as `{ "file": "cave-1.json" }`
+(see packs.js). The `id` keeps the saved progress of packs apart; without one
+the title is used.
+*/
+const PACK_FORMAT = 'platform-pack';
+const PACK_FORMAT_VERSION = 1;
+
+/**
+ * Checks a pack whose level files (if any) have already been read.
+ *
+ * @param {Object} pack the pack manifest
+ * @returns {Array} the problems found, like `validatePlan`. Problems with a
+ * level have the number of the `level` (counted from 1) as well.
+ */
+function validatePack(pack) {
+  if (pack === null || typeof pack !== 'object') {
+    return [{ message: 'the pack is not an object' }];
+  }
+  if (pack.format !== PACK_FORMAT || pack.version !== PACK_FORMAT_VERSION) {
+    return [{ message: `not a ${PACK_FORMAT} pack of version ${PACK_FORMAT_VERSION}` }];
+  }
+
+  let errors = [];
+
+  if (typeof pack.title !== 'string' || pack.title.trim() === '') {
+    errors.push({ message: 'the pack has no title' });
+  }
+  if (pack.author != null && typeof pack.author !== 'string') {
+    errors.push({ message: 'the author should be a string' });
+  }
+  if (!Array.isArray(pack.levels) || pack.levels.length === 0) {
+    errors.push({ message: 'the pack has no levels' });
+    return errors;
+  }
+
+  pack.levels.forEach((plan, i) => {
+    for (let error of validatePlan(plan)) errors.push({ ...error, level: i + 1 });
+  });
+
+  return errors;
+}
+
+function formatPackError(error) {
+  let message = formatPlanError(error);
+  if (error.level == null) return message;
+  return error.line == null ? `level ${error.level}: ${message}` : `level ${error.level}, ${message}`;
+}
+
+// The key the pack's progress is saved under
+function packId(pack) {
+  return pack.id || pack.title;
+}
+
+/* ========================================================================= */
+/* ========================= MOTION AND COLLISION ========================== */
+/* ========================================================================= */
+
+// This method tells us whether a rectangle (specified by a position and a size) 
+// touches a grid element of the given type. The type can also be an array of
+// types (like `SOLID_TILES`), of which any one counts.
+Level.prototype.touches = function(pos, size, type) {
+  let types = Array.isArray(type) ? type : [type];
+
+  var xStart = Math.floor(pos.x);
+  var yStart = Math.floor(pos.y)
+  
+  var xEnd = Math.ceil(pos.x + size.x);
+  var yEnd = Math.ceil(pos.y + size.y);
+
+  for (var y = yStart; y < yEnd; y++) {
+    for (var x = xStart; x < xEnd; x++) {
+      let isOutside = x < 0 || x >= this.width ||
+                      y < 0 || y >= this.height;
+
+      let here = isOutside ? 'wall' : this.rows[y][x];
+
+      if (types.includes(here)) return true;
+    }
+  }
+  return false;
+}
+
+// Which of the four squares next to a square hold the same tile, as a
+// number from 0 to 15: 1 for the square above, 2 for the one to the right,
+// 4 below and 8 to the left. Squares outside the level count as walls, like
+// in `touches`. The displays use this to draw the edges of walls.
+Level.prototype.neighbors = function(x, y) {
+  let tile = this.rows[y][x];
+  let same = (nx, ny) => {
+    let outside = nx < 0 || nx >= this.width || ny < 0 || ny >= this.height;
+    return (outside ? 'wall' : this.rows[ny][nx]) === tile;
+  };
+  return (same(x, y - 1) ? 1 : 0) | (same(x + 1, y) ? 2 : 0) |
+         (same(x, y + 1) ? 4 : 0) | (same(x - 1, y) ? 8 : 0);
+};
+
+// Whether a rectangle standing at `pos` stands on a grid element of the
+// given type, that is, whether that type is right below its bottom edge.
+Level.prototype.standsOn = function(pos, size, type) {
+  return this.touches(new Vec(pos.x, pos.y + size.y), new Vec(size.x, 0.1), type);
+};
+
+// One-way platforms only stop things that come down onto them from above.
+// This tells whether moving a rectangle from `pos` down to `moved` makes its
+// bottom edge cross the top of a grid element of the given type.
+Level.prototype.landsOn = function(pos, moved, size, type) {
+  let bottom = pos.y + size.y;
+  let row = Math.ceil(bottom);
+
+  if (moved.y + size.y <= row || row < 0 || row >= this.height) return false;
+
+  let xStart = Math.max(Math.floor(pos.x), 0);
+  let xEnd = Math.min(Math.ceil(pos.x + size.x), this.width);
+  for (let x = xStart; x < xEnd; x++) {
+    if (this.rows[row][x] === type) return true;
+  }
+  return false;
+};
+
+// Returns a copy of the level where the square at x, y is of another type.
+// Levels themselves never change, so a state with a broken block gets a
+// level of its own.
+Level.prototype.withTile = function(x, y, type) {
+  let level = Object.create(Level.prototype);
+  Object.assign(level, this);
+  level.rows = this.rows.map((row, rowY) => {
+    if (rowY !== y) return row;
+    let copy = row.slice();
+    copy[x] = type;
+    return copy;
+  });
+  return level;
+};
+
+// When the player bumps its head, any breakable blocks right above it break
+function breakBlocks(level, player) {
+  let y = Math.floor(player.pos.y - 0.1);
+  if (y < 0) return level;
+
+  let xStart = Math.max(Math.floor(player.pos.x), 0);
+  let xEnd = Math.min(Math.ceil(player.pos.x + player.size.x), level.width);
+  for (let x = xStart; x < xEnd; x++) {
+    if (level.rows[y][x] === 'breakable') level = level.withTile(x, y, 'empty');
+  }
+  return level;
+}
+
+/**
+ * The state update method uses touches to figure out whether the player is touching lava.
+ * 
+ * @param {Number} time a time step 
+ * @param {Object} actions tells which of the player's actions (`left`,
+ * `right`, `jump` and `down`) are held down, whatever key or button they
+ * are bound to (see input.js)
+ * 
+ */
+State.prototype.update = function(time, actions) {
+
+  // Call the update method on all actors, producing an array of updated actors.
+  let actors = this.actors
+    // The actors also get the time step, the actions, and the state, 
+    // so that they can base their update on those. 
+
+    // Only the player will actually read the actions, since that’s 
+    // the only actor that’s controlled by the player.
+    .map(actor => keepId(actor.update(time, this, actions), actor.id))
+    // Actors that are done (like a finished animation) return null
+    .filter(actor => actor !== null);
+
+  let level = this.level;
+  let player = actors.find(actor => actor.type === 'player');
+  let before = this.player;
+
+  // A player whose way up was blocked hit something with its head. (Just
+  // stopping, like on a ladder, doesn't count.)
+  if (player && player.bumped) {
+    level = breakBlocks(level, player);
+  }
+
+  let newState = new State(level, actors, this.status, this.score.tick(time), []);
+
+  // If the game is already over, no further processing has to be done.
+  if (newState.status !== 'playing') return newState;
+
+  // What the player did itself shows in its flags: `rising` is only set by
+  // a jump, and `airTime` is zero once it stands on something.
+  if (player && before) {
+    if (player.rising && !before.rising) {
+      newState = newState.emit({ type: 'jumped', pos: player.pos });
+    }
+    if (player.airTime === 0 && before.airTime > LANDING_AIR_TIME) {
+      newState = newState.emit({ type: 'landed', pos: player.pos });
+    }
+  }
+
+  // Test whether the player is touching background lava. 
+  if (level.touches(player.pos, player.size, 'lava')) {
+    return newState.lose('lava');
+  }
+
+  // Finally, if the game really is still going on, 
+  // it sees whether any other actors overlap the player.
+  for (let actor of actors) {
+    // A collision may have replaced the player or removed other actors,
+    // so both are looked up in the newest state.
+    player = newState.player;
+    if (actor === player || !newState.actors.includes(actor)) continue;
+
+    if (overlap(actor, player)) {
+      // If any actor does overlap, its collide method gets a chance to update the state. 
+      newState = actor.collide(newState);
+    }
+  }
+
+  return newState;
+}
+
+// How long the player has to be in the air for touching the ground to count
+// as landing. The player is stopped a little above the floor and falls the
+// rest of the way in the next step, which isn't a landing of its own.
+const LANDING_AIR_TIME = 0.05;
+
+// How far a rectangle has to be inside a solid actor to be blocked by it.
+// Without it, a player standing exactly on a platform could be blocked by
+// rounding errors.
+const SOLID_MARGIN = 1e-6;
+
+// Whether a rectangle at `pos` runs into a solid actor. Touching its edges,
+// like standing on top of it, doesn't count.
+function hitsSolid(actor, pos, size) {
+  return pos.x + size.x > actor.pos.x + SOLID_MARGIN &&
+         pos.x < actor.pos.x + actor.size.x - SOLID_MARGIN &&
+         pos.y + size.y > actor.pos.y + SOLID_MARGIN &&
+         pos.y < actor.pos.y + actor.size.y - SOLID_MARGIN;
+}
+
+// Whether a rectangle stands on top of an actor
+function standsOnActor(pos, size, actor) {
+  return Math.abs(pos.y + size.y - actor.pos.y) < 0.05 &&
+         pos.x + size.x > actor.pos.x &&
+         pos.x < actor.pos.x + actor.size.x;
+}
+
+// Overlap between actors is detected with the overlap function. 
+function overlap(actor1, actor2) {
+  // Actors are overlapping when they overlap both along the x-axis and y-axis.
+  return actor1.pos.x + actor1.size.x > actor2.pos.x &&
+         actor1.pos.x < actor2.pos.x + actor2.size.x &&
+         actor1.pos.y + actor1.size.y > actor2.pos.y &&
+         actor1.pos.y < actor2.pos.y + actor2.size.y;
+}
+
+// Touching a lava actor sets the game status to "lost".
+Lava.prototype.collide = function(state) {
+  return state.lose('lava');
+}
+
+Coin.prototype.collide = function(state) {
+
+  //  Coins vanish when you touch them
+  let filtered = state.actors.filter(a => a !== this);
+
+  let status = state.status;
+
+  // Set the status to "won" when they are the last coin of the level.
+  if (!filtered.some(a => a.type === 'coin')) status = 'won';
+
+  let collected = new State(state.level, filtered, status, state.score.collectCoin(), state.events)
+    .emit({ type: 'collected', actor: this, pos: this.pos });
+  return status === 'won' ? collected.emit({ type: 'won' }) : collected;
+}
+
+/* ================================================================== */
+/* ========================= ACTOR UPDATES ========================== */
+/* ================================================================== */
+
+// Lava update
+Lava.prototype.update = function(time, state) {
+
+  // Compute a new position by adding the product of the time step and the current speed 
+  // to its old position. 
+  let newPost = this.pos.plus(this.speed.times(time)); 
+
+  // If no obstacle blocks that new position, it moves there.  
+  if (!state.level.touches(newPost, this.size, SOLID_TILES)) {
+    return new Lava(newPost, this.speed, this.reset);
+
+    // If there is an obstacle, the behavior depends on the type of the lava block
+    // — dripping lava has a reset position, to which it jumps back when it hits something.
+  } else if (this.reset) {
+    return new Lava(this.reset, this.speed, this.reset);
+
+    // Bouncing lava inverts its speed by multiplying it by -1 
+    // so that it starts moving in the opposite direction.
+  } else {
+    return new Lava(this.pos, this.speed.times(-1));
+  }
+};
+
+const WOBBLE_SPEED = 8, WOBBLE_DIST = 0.07;
+
+// Coin update
+Coin.prototype.update = function(time) {
+
+  // Coins use their update method to wobble. They ignore collisions with 
+  // the grid since they are simply wobbling around inside of their own square.
+
+  // The wobble property is incremented to track time and then is used as an 
+  // argument to Math.sin to find the new position on the wave.
+  let wobble = this.wobble + time * WOBBLE_SPEED;
+  let wobblePos = Math.sin(wobble) * WOBBLE_DIST;
+
+  //  The coin’s current position is then computed from its base 
+  // position and an offset based on this wave.
+  return new Coin(this.basePos.plus(new Vec(0, wobblePos)),
+                  this.basePos, wobble);
+};
+
+const PLAYER_X_SPEED = 7;
+const GRAVITY = 30;
+const JUMP_SPEED = 17;
+
+// How quickly the player's speed follows the left and right actions on ice (the part
+// of the difference made up per second)
+const ICE_GRIP = 2.5;
+// The speed springs launch the player up with
+const SPRING_SPEED = 25;
+// The speed of climbing ladders
+const CLIMB_SPEED = 5;
+
+// Everything about how the player moves. Structured levels can change any
+// of these for themselves, with `physics` in their `meta`.
+const PHYSICS = {
+  // The walking speed, and how quickly the player gets up to it and comes
+  // to a stop (in squares per second, per second)
+  runSpeed: PLAYER_X_SPEED,
+  acceleration: 70,
+  deceleration: 90,
+  gravity: GRAVITY,
+  jumpSpeed: JUMP_SPEED,
+  // Letting go of the jump key on the way up keeps only this part of the
+  // speed, so that a short press makes a low jump
+  jumpCut: 0.4,
+  // How long (in seconds) after walking off a ledge the player can still jump
+  coyoteTime: 0.1,
+  // How long (in seconds) before landing a jump press still counts
+  jumpBuffer: 0.1,
+  iceGrip: ICE_GRIP,
+  springSpeed: SPRING_SPEED,
+  climbSpeed: CLIMB_SPEED,
+};
+
+// Changes a speed toward a target by at most `change`
+function approach(speed, target, change) {
+  if (speed < target) return Math.min(speed + change, target);
+  return Math.max(speed - change, target);
+}
+
+// Player update
+Player.prototype.update = function(time, state, actions) {
+  let level = state.level;
+  let physics = level.physics;
+
+  // x-axis
+  // Going left and right sets the speed the player is going for
+  let targetSpeed = 0;
+  if (actions.left) targetSpeed -= physics.runSpeed;
+  if (actions.right) targetSpeed += physics.runSpeed;
+
+  let pos = this.pos;
+
+  // Solid actors (moving platforms) block the player like walls. They are
+  // checked at the place they move to in this step.
+  let solids = state.actors.filter(actor => actor.solid);
+  let movedSolids = solids.map(actor => actor.update(time, state));
+  let blocked = moved => level.touches(moved, this.size, SOLID_TILES) ||
+                         movedSolids.some(actor => hitsSolid(actor, moved, this.size));
+
+  // Standing on a platform carries the player along with it
+  let ridden = solids.findIndex(actor => this.speed.y >= 0 && standsOnActor(pos, this.size, actor));
+  if (ridden >= 0) {
+    let from = solids[ridden].pos, to = movedSolids[ridden].pos;
+    let carried = new Vec(pos.x + to.x - from.x, to.y - this.size.y);
+    if (!level.touches(carried, this.size, SOLID_TILES)) pos = carried;
+  }
+
+  // The player speeds up to that speed or slows down in a short time. On
+  // ice that takes a lot longer.
+  let xSpeed;
+  if (level.standsOn(pos, this.size, 'ice')) {
+    xSpeed = this.speed.x + (targetSpeed - this.speed.x) * Math.min(1, physics.iceGrip * time);
+  } else {
+    let rate = targetSpeed === 0 ? physics.deceleration : physics.acceleration;
+    xSpeed = approach(this.speed.x, targetSpeed, rate * time);
+  }
+
+  let movedX = pos.plus(new Vec(xSpeed * time, 0));
+
+  // When there’s no wall blocking the new position created by 
+  // this motion, it is used. Otherwise, the old position is kept
+  // and the player stops.
+  if (!blocked(movedX)) {
+    pos = movedX;
+  } else {
+    xSpeed = 0;
+  }
+
+  // y-axis
+  // Vertical motion works in a similar way but has to simulate jumping and gravity.
+
+  // Landing on something ends a chain of stomps
+  let stomps = this.stomps;
+
+  let airTime = this.airTime + time;
+  let sinceJumpKey = actions.jump ? 0 : this.sinceJumpKey + time;
+  let rising = this.rising;
+  let bumped = false;
+
+  // A jump pressed a moment ago still counts
+  let wantsJump = sinceJumpKey <= physics.jumpBuffer;
+
+  // On a ladder, jump and down climb. A player that was climbing (and so
+  // isn't moving faster than that) hangs on when the keys are let go.
+  let climbing = level.touches(pos, this.size, 'ladder') &&
+                 (actions.jump || actions.down ||
+                  Math.abs(this.speed.y) <= physics.climbSpeed);
+
+  let ySpeed;
+  if (climbing) {
+    ySpeed = actions.jump ? -physics.climbSpeed : actions.down ? physics.climbSpeed : 0;
+    rising = false;
+  } else {
+    // The player’s vertical speed (ySpeed) is first accelerated to account for gravity.
+    ySpeed = this.speed.y + time * physics.gravity;
+
+    // Letting go of the jump key on the way up cuts the jump short
+    if (rising && !actions.jump && ySpeed < 0) {
+      ySpeed *= physics.jumpCut;
+      rising = false;
+    }
+  }
+  if (ySpeed >= 0) rising = false;
+
+  // Jumping sets the speed to a relatively large, negative value. The jump
+  // press is used up, so that it can't make another jump.
+  let jump = () => {
+    ySpeed = -physics.jumpSpeed;
+    stomps = 0;
+    rising = true;
+    airTime = Infinity;
+    sinceJumpKey = Infinity;
+  };
+
+  let movedY = pos.plus(new Vec(0, ySpeed * time));
+
+  // Check for walls, and for platforms when coming down onto them
+  if (!blocked(movedY) && !(ySpeed > 0 && level.landsOn(pos, movedY, this.size, 'platform'))) {
+    pos = movedY;
+
+    // Just after walking off a ledge, the player can still jump
+    if (wantsJump && !climbing && ySpeed > 0 && airTime <= physics.coyoteTime) jump();
+
+  } else if (ySpeed > 0 && !climbing && level.touches(movedY, this.size, 'spring')) {
+    // Landing on a spring launches the player
+    ySpeed = -physics.springSpeed;
+    stomps = 0;
+    airTime = Infinity;
+
+    // When the jump key is (or was just) pressed and we are moving down
+    // (meaning the thing we hit is below us), the player jumps.
+  } else if (wantsJump && ySpeed > 0 && !climbing) {
+    jump();
+
+    // If that is not the case, the player simply bumped into 
+    // something, and the speed is set to zero.
+  } else {
+    if (ySpeed < 0) bumped = true;
+    if (ySpeed > 0) {
+      stomps = 0;
+      airTime = 0;
+
+      // Landing on a moving platform puts the player right on top of it,
+      // so that it is carried from the next step on
+      let below = movedSolids.find(actor => hitsSolid(actor, movedY, this.size) &&
+                                            actor.pos.y > pos.y + this.size.y / 2);
+      if (below) pos = new Vec(pos.x, below.pos.y - this.size.y);
+    }
+    ySpeed = 0;
+  }
+
+  return new Player(pos, new Vec(xSpeed, ySpeed),
+                    Math.max(0, this.invulnerable - time), stomps,
+                    airTime, sinceJumpKey, rising, bumped);
+};
+
+/* ===================================================================== */
+/* ======================= RECORDING AND REPLAY ======================== */
+/* ===================================================================== */
+
+/*
+Because `State.update` only depends on the previous state, the time step and
+the actions, a run of a level can be replayed exactly from its plan, its seed
+and the time step and actions of every simulation step.
+*/
+const REPLAY_VERSION = 2;
+
+// Replays of version 1 stored the arrow keys that were held instead of the
+// actions
+const REPLAY_V1_ACTIONS = {
+  ArrowLeft: 'left',
+  ArrowRight: 'right',
+  ArrowUp: 'jump',
+  ArrowDown: 'down',
+};
+
+// A frame of a replay: a positive time step and the names of the actions
+// (or, in version 1, the keys) that were held
+function isReplayFrame(frame) {
+  return Array.isArray(frame) &&
+         typeof frame[0] === 'number' && frame[0] > 0 &&
+         Array.isArray(frame[1]) && frame[1].every(action => typeof action === 'string');
+}
+
+class Replay {
+  constructor(plan, seed, frames = [], checkpoint = null) {
+    this.plan = plan;
+    this.seed = seed;
+
+    // A run that started from a checkpoint (after dying) stores what the
+    // checkpoint saved, see `State.respawn`
+    this.checkpoint = checkpoint;
+
+    // Every step is stored as a `[timeStep, actions]` pair, where `actions`
+    // is an array with the names of the actions that were held down.
+    this.frames = frames;
+  }
+
+  static forLevel(level, checkpoint = null) {
+    return new Replay(level.plan, level.seed, [], checkpoint);
+  }
+
+  // Accepts either a JSON string or an already parsed object. Replays come
+  // from files, so anything that can't be played back is rejected here: a
+  // broken plan with a LevelError, the rest with an Error.
+  static fromJSON(json) {
+    let data = typeof json === 'string' ? JSON.parse(json) : json;
+    if (!isPlainObject(data)) throw new Error('A replay should be an object');
+
+    let frames = data.frames;
+    if (!Array.isArray(frames) || !frames.every(isReplayFrame)) {
+      throw new Error('The frames of a replay should be a list of [time step, actions] pairs');
+    }
+    let errors = validatePlan(data.plan);
+    if (errors.length) throw new LevelError(errors);
+
+    if (data.version === 1) {
+      frames = frames.map(([time, held]) => [time, held.map(key => REPLAY_V1_ACTIONS[key])]);
+    } else if (data.version !== REPLAY_VERSION) {
+      throw new Error(`Unsupported replay version: ${data.version}`);
+    }
+    return new Replay(data.plan, data.seed, frames, data.checkpoint || null);
+  }
+
+  record(time, actions) {
+    let held = Object.keys(actions).filter(action => actions[action] === true);
+    this.frames.push([time, held]);
+  }
+
+  // The action map that the player's update method reads for a frame
+  static actions([, held]) {
+    let actions = Object.create(null);
+    for (let action of held) actions[action] = true;
+    return actions;
+  }
+
+  level() {
+    return new Level(this.plan, this.seed);
+  }
+
+  // The state the recording starts from
+  start(level = this.level()) {
+    return this.checkpoint ? State.respawn(level, this.checkpoint) : State.start(level);
+  }
+
+  // Runs the whole recording without a display and returns the final state
+  simulate() {
+    let state = this.start();
+    for (let frame of this.frames) {
+      state = state.update(frame[0], Replay.actions(frame));
+    }
+    return state;
+  }
+
+  toJSON() {
+    return {
+      version: REPLAY_VERSION,
+      plan: this.plan,
+      seed: this.seed,
+      frames: this.frames,
+      checkpoint: this.checkpoint,
+    };
+  }
+}
+
+/* ===================================================================== */
+/* ========================= FIXED TIME STEPS ========================== */
+/* ===================================================================== */
+
+// The default number of simulation steps per second
+const TICK_RATE = 120;
+
+// Returns a state for drawing, with the actors placed `alpha` (0 to 1) of
+// the way from their position in `previous` to their position in `current`.
+// Actors can only be matched up when no actor was added or removed in between,
+// otherwise the current state is drawn as is.
+function interpolateState(previous, current, alpha) {
+  if (previous === current || previous.actors.length !== current.actors.length) {
+    return current;
+  }
+
+  let actors = current.actors.map((actor, i) => {
+    let old = previous.actors[i];
+    if (old.type !== actor.type) return actor;
+
+    let pos = old.pos.plus(actor.pos.plus(old.pos.times(-1)).times(alpha));
+    return Object.assign(Object.create(Object.getPrototypeOf(actor)), actor, { pos });
+  });
+  return new State(current.level, actors, current.status, current.score, current.events);
+}
+
+/* ===================================================================== */
+/* ============================ GAME EVENTS ============================ */
+/* ===================================================================== */
+
+/*
+Things like sound react to what happens in the game, but the game itself
+doesn't know about them. Every call to `State.update` leaves the events of
+that step in `state.events`, and the game sends them on to whoever subscribed
+to them. Headless runs and replays simply have nobody listening.
+
+Every event has a `type`, and most also have the `pos` where it happened:
+
+- "jumped" and "landed", when the player jumps or lands on something
+- "collected", when a coin (the `actor`) is collected
+- "killed", when a monster (the `actor`) is stomped
+- "died", when the level is lost, with its `cause`: "lava", "monster",
+  "crushed" (by a platform) or "trigger"
+- "won", when the level is won
+
+The game adds "levelstart" and "levelend" around every level, "pause" and
+"resume" when the level is paused and goes on (see `runLevel`), and
+"gameover" and "gamecomplete" at the end of a game (see `runGame`).
+*/
+
+// A list of subscribers for every event type. Subscribing to "*" gets every
+// event.
+class GameEvents {
+  constructor() {
+    this.handlers = new Map();
+  }
+
+  // Returns a function that unsubscribes again
+  on(type, handler) {
+    if (!this.handlers.has(type)) this.handlers.set(type, []);
+    this.handlers.get(type).push(handler);
+    return () => this.off(type, handler);
+  }
+
+  off(type, handler) {
+    let handlers = this.handlers.get(type);
+    if (handlers) this.handlers.set(type, handlers.filter(h => h !== handler));
+  }
+
+  emit(event) {
+    for (let type of [event.type, '*']) {
+      for (let handler of this.handlers.get(type) || []) handler(event);
+    }
+  }
+}
+
+// In Node the core is used as a module. In the browser, the declarations
+// above are simply shared with the other scripts.
+if (typeof module !== 'undefined') {
+  module.exports = {
+    simpleLevelPlan, Score, COIN_POINTS, STOMP_POINTS, COMBO_TIME, MAX_COMBO,
+    TIME_BONUS_POINTS, NO_DEATH_BONUS, PAR_TIME_PER_COIN, parTime, levelTally, formatTime,
+    Level, LevelError, validatePlan, formatPlanError, createRandom, randomSeed, State, Vec,
+    Player, Lava, Coin, Monster, Defeat, Trigger, Checkpoint, SOLID_TILES, breakBlocks,
+    MovingPlatform, PLATFORM_SPEED, PLATFORM_WIDTH, PLATFORM_HEIGHT, SOLID_MARGIN,
+    ICE_GRIP, SPRING_SPEED, CLIMB_SPEED, PHYSICS,
+    STOMP_SPEED, STOMP_CHAIN_BONUS, STOMP_MAX_SPEED, STOMP_INVULNERABLE_TIME, DEFEAT_TIME, levelChars, overlap,
+    LEVEL_FORMAT, LEVEL_FORMAT_VERSION, normalizePlan, convertPlan, GameEvents,
+    PACK_FORMAT, PACK_FORMAT_VERSION, validatePack, formatPackError, packId,
+    MONSTER_SPEED, MONSTER_CHASE_SPEED, MONSTER_JUMP_SPEED, MONSTER_SIGHT, MONSTER_BEHAVIORS,
+    WOBBLE_SPEED, WOBBLE_DIST, PLAYER_X_SPEED, GRAVITY, JUMP_SPEED,
+    REPLAY_VERSION, Replay, TICK_RATE, interpolateState,
+  };
+}
@@ -0,0 +1,1037 @@
+/* ================================================================ */
+/* ========================= DOM DISPLAY ========================== */
+/* ================================================================ */
+
+// A helper function that provides a succinct way to create an element
+// and givi it some attributes and child nodes
+function elt(name, attrs, ...children) {
+  let dom = document.createElement(name);
+
+  for (let attr of Object.keys(attrs)) {
+    dom.setAttribute(attr, attrs[attr]);
+  }
+
+  for (let child of children) {
+    // Strings are turned into text nodes, so that plain messages can be
+    // passed as children
+    if (typeof child === 'string') child = document.createTextNode(child);
+    dom.appendChild(child);
+  }
+
+  return dom;
+}
+
+// A display is created by giving it a parent element to which it should 
+// append itself and a level object
+class DOMDisplay {
+  constructor(parent, level) {
+    // The level's background grid is drawn once, and only redrawn when
+    // a block is broken.
+    this.level = level;
+    this.grid = drawGrid(level);
+    this.dom = elt("div", { class: "game" }, this.grid);
+
+    // The sky and the parallax layers of the level's theme sit behind the
+    // scrolling `.game` element, and are moved along with its scroll
+    // position (see `syncLayers`)
+    this.backdrop = drawBackdrop(level);
+
+    // The actors are drawn in `actorLayer`, and `actorElements` holds their
+    // elements by key (see `actorKeys`), so that they can be reused.
+    this.actorLayer = elt("div", {});
+    this.dom.appendChild(this.actorLayer);
+    this.actorElements = new Map();
+
+    // The HUD lives next to the scrolling `.game` element, in a shared
+    // container, so that it stays in place when the view is scrolled.
+    this.hudLayer = elt("div", { class: "hud" });
+    this.container = elt("div", { class: "game-container" }, this.backdrop, this.dom, this.hudLayer);
+
+    parent.appendChild(this.container);
+  }
+ 
+  clear() { this.container.remove(); }
+}
+
+// Our coordinates and sizes are tracked in grid units, where a size or 
+// distance of 1 means one grid block. When setting pixel sizes, we will 
+// have to scale these coordinates up—everything in the game would be 
+// ridiculously small at a single pixel per square. The scale constant gives 
+// the number of pixels that a single unit takes up on the screen.
+const SCALE = 20;
+
+function drawGrid(level) {
+  let theme = levelTheme(level);
+
+  // Themed walls get the theme's colors, with the top color on walls that
+  // have nothing on top of them (see themes.js)
+  let wallStyle = (x, y) => {
+    let { fill, top } = theme.walls;
+    let open = (level.neighbors(x, y) & 1) === 0;
+    return `background: ${fill}` + (open ? `; box-shadow: inset 0 5px ${top}` : '');
+  };
+
+  // Background is drawn as <table> element. The sky is drawn behind it, by
+  // the backdrop (see `drawBackdrop`).
+  return elt(
+    'table',
+    {
+      class: 'background',
+      style: `width: ${level.width * SCALE}px`,
+    },
+
+    // `rows` property of the level are drawn as <tr>
+    ...level.rows.map((row, y) =>
+      elt(
+        'tr',
+        { style: `height: ${SCALE}px` },
+
+        // Each character of the row is drawn as <td> element
+        // and its type is used as class name.
+        ...row.map((type, x) =>
+          elt(
+            'td', 
+            type === 'wall' && theme.walls ? { class: type, style: wallStyle(x, y) } : { class: type }
+          ))
+      )
+    )
+  );
+}
+
+// The size of the view on the level, in pixels. The `.game` element is
+// limited to this size by the style sheet.
+function viewSize(level) {
+  return { width: Math.min(600, level.width * SCALE), height: Math.min(450, level.height * SCALE) };
+}
+
+// The parallax layers are elements cut to the layer's outline, as wide as
+// the part of the layer that can ever come into view. They stand on the
+// bottom of the view (or hang from its top), like on the canvas display.
+function drawBackdrop(level) {
+  let theme = levelTheme(level);
+  let { width, height } = viewSize(level);
+
+  let layers = theme.layers.map(({ shape, color, depth, height: layerHeight, hanging }) => {
+    let layerWidth = Math.ceil(width + (level.width * SCALE - width) * depth);
+    let layerTop = Math.round(layerHeight * height);
+    let points = [];
+    for (let x = 0; x <= layerWidth; x += 8) {
+      let outline = Math.round(LAYER_SHAPES[shape](x) * layerTop);
+      points.push(`${x}px ${hanging ? outline : layerTop - outline}px`);
+    }
+    let edge = hanging ? 0 : layerTop;
+    points.push(`${layerWidth}px ${edge}px`, `0px ${edge}px`);
+
+    let element = elt('div', {
+      class: 'layer',
+      style: `width: ${layerWidth}px; height: ${layerTop}px; ${hanging ? 'top' : 'bottom'}: 0; ` +
+             `background: ${color}; clip-path: polygon(${points.join(', ')})`,
+    });
+    element.depth = depth;
+    element.hanging = hanging;
+    return element;
+  });
+
+  return elt('div', {
+    class: 'backdrop',
+    style: `background: ${level.meta.background || theme.sky}`,
+  }, ...layers);
+}
+
+// Moves the layers by their `depth` times the scroll position of the level
+DOMDisplay.prototype.syncLayers = function() {
+  let { scrollLeft, scrollTop, clientHeight } = this.dom;
+  let bottom = this.level.height * SCALE - scrollTop - clientHeight;
+
+  for (let layer of this.backdrop.children) {
+    let y = layer.hanging ? -scrollTop * layer.depth : bottom * layer.depth;
+    let transform = `translate(${-scrollLeft * layer.depth}px, ${y}px)`;
+    if (layer.drawn !== transform) layer.style.transform = transform;
+    layer.drawn = transform;
+  }
+};
+
+// Actors are replaced by new objects on every step, but they keep their id
+// (see `keepId` in core.js). So an actor's element is found by its id, and
+// is reused from frame to frame. Actors without an id fall back to their
+// type and their place among the actors of that type. Only the properties
+// that changed are written to the DOM.
+function actorKeys(actors) {
+  let counts = Object.create(null);
+  return actors.map(({ type, id }) => {
+    counts[type] = (counts[type] || 0) + 1;
+    return id != null ? `id:${id}` : `${type}:${counts[type]}`;
+  });
+}
+
+function updateActorElement(element, { type, size, pos, active }) {
+  // Actors that can be switched on (like checkpoints) also get the `active`
+  // class
+  let props = {
+    className: `actor ${type}${active ? " active" : ""}`,
+    width: `${size.x * SCALE}px`,
+    height: `${size.y * SCALE}px`,
+    left: `${pos.x * SCALE}px`,
+    top: `${pos.y * SCALE}px`,
+  };
+
+  let drawn = element.drawn || {};
+  if (drawn.className !== props.className) element.className = props.className;
+  for (let prop of ['width', 'height', 'left', 'top']) {
+    if (drawn[prop] !== props[prop]) element.style[prop] = props[prop];
+  }
+  element.drawn = props;
+}
+
+// `syncState` method is used to make the display show a given state.
+DOMDisplay.prototype.syncState = function(state) {
+
+  // Breakable blocks change the level, in which case the grid is redrawn
+  if (state.level !== this.level) {
+    let grid = drawGrid(state.level);
+    this.grid.replaceWith(grid);
+    this.grid = grid;
+    this.level = state.level;
+  }
+
+  this.syncActors(state.actors);
+
+  // By adding the level's current status as class name to the wrapper
+  // we can style the player actor slighly differently when the game is
+  // won or lost 
+  this.dom.className = `game ${state.status}`;
+
+  this.scrollPlayerIntoView(state);
+  this.syncLayers();
+}
+
+DOMDisplay.prototype.syncActors = function(actors) {
+  let keys = actorKeys(actors);
+
+  // Actors that are gone lose their elements
+  let current = new Set(keys);
+  for (let [key, element] of this.actorElements) {
+    if (!current.has(key)) {
+      element.remove();
+      this.actorElements.delete(key);
+    }
+  }
+
+  actors.forEach((actor, i) => {
+    let element = this.actorElements.get(keys[i]);
+    if (!element) {
+      element = elt("div", {});
+      this.actorLayer.appendChild(element);
+      this.actorElements.set(keys[i], element);
+    }
+    updateActorElement(element, actor);
+  });
+};
+
+// `scrollPlayerIntoView` method ensures that if the level is sticking out
+// outside of the viewport, we scroll that viewport to make sure the player
+// is near its center
+DOMDisplay.prototype.scrollPlayerIntoView = function(state) {
+  let width = this.dom.clientWidth;
+  let height = this.dom.clientHeight;
+  let margin = width / 3;
+
+  // The viewport
+  let left = this.dom.scrollLeft, right = left + width;
+  let top = this.dom.scrollTop, bottom = top + height;
+
+  let player = state.player;
+  let center = player.pos
+    // To find the actor's center, we add its position (its top left corner) 
+    // and half its size. That is the center in level coordinates.
+    .plus(player.size.times(0.5))
+    // We need it in pixel coordinates, so we multiply it by scale
+    .times(SCALE);
+
+  // A series of checks verifies that the player position isn't outside,
+  // of the allow range.
+  if (center.x < left + margin) {
+    this.dom.scrollLeft = center.x - margin;
+  } else if (center.x > right - margin) {
+    this.dom.scrollLeft = center.x + margin - width;
+  }
+
+  if (center.y < top + margin) {
+    this.dom.scrollTop = center.y - margin;
+  } else if (center.y > bottom - margin) {
+    this.dom.scrollTop = center.y + margin - height;
+  }
+
+  // It would have been slightly simpler to always try to scroll the player 
+  // to the center of the viewport. But this creates a rather jarring 
+  // effect. As you are jumping, the view will constantly shift up and down. 
+  // It is more pleasant to have a “neutral” area in the middle of the 
+  // screen where you can move around without causing any scrolling.
+};
+
+/* =================================================================== */
+/* ========================= CANVAS DISPLAY ========================== */
+/* =================================================================== */
+
+class CanvasDisplay {
+  constructor(parent, level) {
+    this.canvas = document.createElement('canvas');
+
+    let { width, height } = viewSize(level);
+    this.canvas.width = width;
+    this.canvas.height = height;
+
+    // Like the DOM display, the canvas sits in a container that other
+    // things (like the touch controls) can be laid over. On narrow screens
+    // the canvas is scaled down to fit.
+    this.container = elt('div', { class: 'game-container' }, this.canvas);
+    parent.appendChild(this.container);
+
+    this.cx = this.canvas.getContext('2d');
+
+    // Keep a flipPlayer property so that even when the player is standing still, 
+    // it keeps facing the direction it last moved in.
+    this.flipPlayer = false;
+
+    // Levels can have their own theme, and their own sky color on top
+    this.theme = levelTheme(level);
+    this.background = level.meta.background || this.theme.sky;
+    this.sheets = themeSheets(this.theme);
+
+    // Rather than using the scroll position of its DOM element, it tracks its 
+    // own viewport, which tells us what part of the level we are currently looking at.
+    this.viewport = {
+      left: 0,
+      top: 0,
+      width: this.canvas.width / SCALE,
+      height: this.canvas.height / SCALE,
+    }
+
+    // The particles, shake and fade (see EFFECTS below). Every level starts
+    // out black and fades in.
+    this.particles = [];
+    this.shakeTime = 0;
+    this.fade = 1;
+    this.fadeSpeed = -1 / FADE_TIME;
+    this.fadeDelay = 0;
+
+    // The tiles drawn so far, by chunk (see `drawBackground`), and the level
+    // they were drawn from
+    this.chunks = new Map();
+    this.chunkLevel = null;
+  }
+
+  clear() {
+    this.container.remove();
+  }
+}
+
+// Contrary to DOMDisplay, this display style does have to redraw the background 
+// on every update. Because shapes on a canvas are just pixels, after we draw them 
+// there is no good way to move them (or remove them).
+CanvasDisplay.prototype.syncState = function(state) {
+  this.updateViewport(state);
+  this.clearDisplay(state.status);
+
+  // A shaking screen moves everything in the level, but not the HUD
+  this.cx.save();
+  this.shakeScreen();
+  this.drawLayers(state.level);
+  this.drawBackground(state.level);
+  this.drawActors(state.actors);
+  this.drawParticles();
+  this.cx.restore();
+
+  this.drawFade();
+}
+
+// The updateViewport method is similar to DOMDisplay’s scrollPlayerIntoView method. 
+// It checks whether the player is too close to the edge of the screen and moves
+//  the viewport when this is the case.
+CanvasDisplay.prototype.updateViewport = function(state) {
+  let view = this.viewport, margin = view.width / 3;
+  let player = state.player;
+  let center = player.pos.plus(player.size.times(0.5));
+
+  if (center.x < view.left + margin) {
+    view.left = Math.max(center.x - margin, 0);
+  } else if (center.x > view.left + view.width - margin) {
+    view.left = Math.min(center.x + margin - view.width,
+                         state.level.width - view.width);
+  }
+
+  if (center.y < view.top + margin) {
+    view.top = Math.max(center.y - margin, 0);
+  } else if (center.y > view.top + view.height - margin) {
+    view.top = Math.min(center.y + margin - view.height,
+                         state.level.height - view.height);
+  }
+};
+
+// When clearing the display, we’ll use a slightly different color depending 
+// on whether the game is won (brighter) or lost (darker). Themed levels keep
+// their own sky.
+CanvasDisplay.prototype.clearDisplay = function(status) {
+  let themed = this.theme !== THEMES.default;
+  if (status === 'won' && !themed) {
+    this.cx.fillStyle = 'rgb(68, 191, 255)';
+  } else if (status === 'lost' && !themed) {
+    this.cx.fillStyle = 'rgb(44, 136, 214)';
+  } else {
+    this.cx.fillStyle = this.background;
+  }
+  this.cx.fillRect(0, 0, 
+                   this.canvas.width, this.canvas.height);
+}
+
+/* ========================= OTHER SPRITES ========================== */
+// The sprite sheets come with the level's theme (see themes.js). Every sheet
+// is loaded once, however many themes use it.
+const sheetImages = new Map();
+
+function sheetImage(src) {
+  if (sheetImages.has(src)) return sheetImages.get(src);
+  let image = document.createElement('img');
+  image.src = src;
+  sheetImages.set(src, image);
+  return image;
+}
+
+// The default sheets, which the level editor draws with
+let otherSprites = sheetImage(DEFAULT_SHEETS.sprites);
+let tileSprites = sheetImage(DEFAULT_SHEETS.tiles);
+
+const TILE_SPRITES = {
+  platform: 0,
+  ice: SCALE,
+  spring: 2 * SCALE,
+  ladder: 3 * SCALE,
+  breakable: 4 * SCALE,
+};
+
+// The image and the x position of the sprite for a background tile, from
+// the given sheets (see `themeSheets`)
+function tileSprite(tile, sheets = themeSheets(THEMES.default)) {
+  if (tile in TILE_SPRITES) return [sheets.tiles, TILE_SPRITES[tile]];
+  return [sheets.sprites, tile === 'lava' ? SCALE : 0];
+}
+
+// The sprite sheets of a theme, as images (see `themeSheetFiles`)
+function themeSheets(theme) {
+  let files = themeSheetFiles(theme);
+  let images = {};
+  for (let name of Object.keys(files)) images[name] = sheetImage(files[name]);
+  return images;
+}
+
+/* =========================== WALL SHEETS ========================== */
+
+// The wall sprites of a theme, by the wall colors they are painted with
+const wallSheets = new Map();
+
+function wallSheet(walls) {
+  if (wallSheets.has(walls)) return wallSheets.get(walls);
+
+  let sheet = document.createElement('canvas');
+  sheet.width = 16 * SCALE;
+  sheet.height = SCALE;
+  let cx = sheet.getContext('2d');
+
+  for (let neighbors = 0; neighbors < 16; neighbors++) {
+    let open = side => (neighbors & side) === 0;
+    let [up, right, down, left] = [1, 2, 4, 8].map(open);
+    let x = neighbors * SCALE;
+
+    // Corners where both sides are open are rounded off
+    let round = (a, b) => a && b ? 5 : 0;
+    cx.save();
+    cx.beginPath();
+    cx.roundRect(x, 0, SCALE, SCALE,
+                 [round(up, left), round(up, right), round(down, right), round(down, left)]);
+    cx.clip();
+
+    cx.fillStyle = walls.fill;
+    cx.fillRect(x, 0, SCALE, SCALE);
+
+    // Open sides get a darker edge, and an open top gets the top color
+    cx.fillStyle = walls.edge;
+    if (left) cx.fillRect(x, 0, 3, SCALE);
+    if (right) cx.fillRect(x + SCALE - 3, 0, 3, SCALE);
+    if (down) cx.fillRect(x, SCALE - 3, SCALE, 3);
+    if (up) {
+      cx.fillStyle = walls.top;
+      cx.fillRect(x, 0, SCALE, 5);
+    }
+    cx.restore();
+  }
+
+  wallSheets.set(walls, sheet);
+  return sheet;
+}
+
+// The parallax layers are drawn from the back to the front. They stand on
+// the bottom of the level (or hang from its top), and move along with the
+// viewport by their `depth`.
+CanvasDisplay.prototype.drawLayers = function(level) {
+  let { width, height } = this.canvas;
+  let view = this.viewport;
+
+  for (let { shape, color, depth, height: layerHeight, hanging } of this.theme.layers) {
+    let offsetX = view.left * SCALE * depth;
+    let offsetY = hanging
+      ? -view.top * SCALE * depth
+      : (level.height - view.top - view.height) * SCALE * depth;
+    let edge = hanging ? offsetY : height + offsetY;
+    let direction = hanging ? 1 : -1;
+
+    this.cx.fillStyle = color;
+    this.cx.beginPath();
+    this.cx.moveTo(0, edge);
+    for (let x = 0; x <= width; x += 4) {
+      let outline = LAYER_SHAPES[shape](x + offsetX) * layerHeight * height;
+      this.cx.lineTo(x, edge + direction * outline);
+    }
+    this.cx.lineTo(width, edge);
+    this.cx.closePath();
+    this.cx.fill();
+  }
+};
+
+// The tiles never move, so they are drawn once into chunks of `CHUNK_SIZE`
+// by `CHUNK_SIZE` squares, and every frame only copies the chunks in view to
+// the screen. Splitting the level up keeps big levels from needing one huge
+// canvas, and chunks that never come into view are never drawn.
+const CHUNK_SIZE = 16;
+
+// Whether the tiles are kept in chunks. Without it, every tile is drawn on
+// every frame (the benchmark compares both).
+CanvasDisplay.prototype.cacheBackground = true;
+
+// Chunks drawn before the sprites are loaded would stay empty
+function spritesLoaded(sheets) {
+  return sheets.sprites.complete && sheets.tiles.complete;
+}
+
+CanvasDisplay.prototype.drawBackground = function(level) {
+  let { left, top, width, height } = this.viewport;
+
+  if (!this.cacheBackground || !spritesLoaded(this.sheets)) {
+    this.drawTiles(this.cx, level, left, top, width, height);
+    return;
+  }
+  this.updateChunks(level);
+
+  let xStart = Math.floor(left / CHUNK_SIZE);
+  let xEnd = Math.min(Math.ceil((left + width) / CHUNK_SIZE), Math.ceil(level.width / CHUNK_SIZE));
+  let yStart = Math.floor(top / CHUNK_SIZE);
+  let yEnd = Math.min(Math.ceil((top + height) / CHUNK_SIZE), Math.ceil(level.height / CHUNK_SIZE));
+
+  for (let y = yStart; y < yEnd; y++) {
+    for (let x = xStart; x < xEnd; x++) {
+      this.cx.drawImage(this.chunk(level, x, y),
+                        (x * CHUNK_SIZE - left) * SCALE, (y * CHUNK_SIZE - top) * SCALE);
+    }
+  }
+};
+
+// The chunk at chunk coordinates `x` and `y`, drawn when it's first needed
+CanvasDisplay.prototype.chunk = function(level, x, y) {
+  let key = `${x},${y}`;
+  if (this.chunks.has(key)) return this.chunks.get(key);
+
+  let chunk = document.createElement('canvas');
+  let left = x * CHUNK_SIZE, top = y * CHUNK_SIZE;
+  let width = Math.min(CHUNK_SIZE, level.width - left);
+  let height = Math.min(CHUNK_SIZE, level.height - top);
+  chunk.width = width * SCALE;
+  chunk.height = height * SCALE;
+
+  this.drawTiles(chunk.getContext('2d'), level, left, top, width, height);
+  this.chunks.set(key, chunk);
+  return chunk;
+};
+
+// When blocks break, the state has a new level. Only the chunks with a
+// changed square are thrown away. `withTile` only copies the rows it
+// changes, so the other rows can be skipped right away.
+CanvasDisplay.prototype.updateChunks = function(level) {
+  if (level === this.chunkLevel) return;
+
+  let old = this.chunkLevel;
+  if (!old || old.width !== level.width || old.height !== level.height) {
+    this.chunks = new Map();
+  } else {
+    level.rows.forEach((row, y) => {
+      if (row === old.rows[y]) return;
+      row.forEach((tile, x) => {
+        if (tile !== old.rows[y][x]) {
+          this.chunks.delete(`${Math.floor(x / CHUNK_SIZE)},${Math.floor(y / CHUNK_SIZE)}`);
+        }
+      });
+    });
+  }
+  this.chunkLevel = level;
+};
+
+// To draw the tiles in an area of the level, we run through its squares.
+// `left` and `top` (in grid units) end up at the top left of `cx`.
+CanvasDisplay.prototype.drawTiles = function(cx, level, left, top, width, height) {
+  let xStart = Math.max(0, Math.floor(left));
+  let xEnd = Math.min(level.width, Math.ceil(left + width));
+  let yStart = Math.max(0, Math.floor(top));
+  let yEnd = Math.min(level.height, Math.ceil(top + height));
+
+  for (let y = yStart; y < yEnd; y++) {
+    for (let x = xStart; x < xEnd; x++) {
+      let tile = level.rows[y][x];
+
+      if (tile === 'empty') continue;
+
+      let screenX = (x - left) * SCALE;
+      let screenY = (y - top) * SCALE;
+
+      // Tiles that are not empty are drawn with drawImage, from the sheets
+      // of the theme. Themed walls come from the theme's wall sheet, with
+      // the sprite that fits their neighbors.
+      let [sprites, tileX] = tile === 'wall' && this.theme.walls
+        ? [wallSheet(this.theme.walls), level.neighbors(x, y) * SCALE]
+        : tileSprite(tile, this.sheets);
+      cx.drawImage(sprites,
+                   tileX,         0, SCALE, SCALE,
+                   screenX, screenY, SCALE, SCALE);
+    }
+  }
+};
+
+/* ========================= PLAYER SPRITES ========================== */
+let playerSprites = sheetImage(DEFAULT_SHEETS.player);
+
+// Because the sprites are slightly wider than the player object—24 instead of 16 pixels
+// to allow some space for feet and arms—the method has to adjust the x-coordinate and width 
+// by a given amount (PLAYER_X_OVERLAP).
+const PLAYER_X_OVERLAP = 4;
+
+CanvasDisplay.prototype.drawPlayer = function(player, x, y, width, height) {
+  width += PLAYER_X_OVERLAP * 2;
+  x -= PLAYER_X_OVERLAP;
+
+  if (player.speed.x !== 0) {
+    this.flipPlayer = player.speed.x < 0;
+  }
+
+  // The player blinks while it can't be hurt
+  if (player.invulnerable > 0 && Math.floor(Date.now() / 60) % 2) return;
+
+  let tile = 8;
+  if (player.speed.y !== 0) {
+    tile = 9;
+  } else if (player.speed.x !== 0) {
+    tile = Math.floor(Date.now() / 60) % 8;
+  }
+
+  this.cx.save();
+  if (this.flipPlayer) {
+    flipHorizontally(this.cx, x + width / 2);
+  }
+
+  let tileX = tile * width;
+  this.cx.drawImage(this.sheets.player, tileX, 0, width, height,
+                                        x,     y, width, height);
+  this.cx.restore();
+}
+
+function flipHorizontally(context, around) {
+  context.translate(around, 0);
+  context.scale(-1, 1);
+  context.translate(-around, 0);
+}
+
+/* ========================= MONSTER SPRITES ========================== */
+// Two walking frames and one for jumping or falling, each as large as the
+// monster itself (24 by 40 pixels). The sprites face right.
+let monsterSprites = sheetImage(DEFAULT_SHEETS.monster);
+
+CanvasDisplay.prototype.drawMonster = function(monster, x, y, width, height) {
+  let tile = 0;
+  if (monster.speed.y !== 0) {
+    tile = 2;
+  } else {
+    tile = Math.floor(Date.now() / 150) % 2;
+  }
+
+  this.cx.save();
+  if (monster.speed.x < 0) {
+    flipHorizontally(this.cx, x + width / 2);
+  }
+  this.cx.drawImage(this.sheets.monster, tile * width, 0, width, height,
+                                         x,            y, width, height);
+  this.cx.restore();
+};
+
+CanvasDisplay.prototype.drawActors = function(actors) {
+  for (let actor of actors) {
+    let width = actor.size.x * SCALE;
+    let height = actor.size.y * SCALE;
+    let x = (actor.pos.x - this.viewport.left) * SCALE;
+    let y = (actor.pos.y - this.viewport.top) * SCALE;
+
+    if (actor.type === 'player') {
+      this.drawPlayer(actor, x, y, width, height);
+    } else if (actor.type === 'monster') {
+      this.drawMonster(actor, x, y, width, height);
+    } else if (actor.type === 'defeat') {
+      // A defeated monster is squashed toward its feet
+      let squashed = height * actor.time / DEFEAT_TIME;
+      this.cx.drawImage(this.sheets.monster, 0, 0, width, height,
+                        x, y + height - squashed, width, squashed);
+    } else if (actor.type === 'moving-platform') {
+      // The top of the platform tile, repeated along the platform's width
+      for (let left = 0; left < width; left += SCALE) {
+        let part = Math.min(SCALE, width - left);
+        this.cx.drawImage(this.sheets.tiles, TILE_SPRITES.platform, 0, part, height,
+                          x + left, y, part, height);
+      }
+    } else if (actor.type === 'checkpoint') {
+      this.drawCheckpoint(actor, x, y, width, height);
+    } else if (actor.type === 'trigger') {
+      // Triggers are invisible
+      continue;
+    } else {
+      let tileX = (actor.type === 'coin' ? 2 : 1) * SCALE;
+
+      this.cx.drawImage(this.sheets.sprites,
+                        tileX, 0, width, height,
+                        x,     y, width, height);
+    }
+  }
+}
+
+
+// Checkpoints are a pole with a flag, which is raised once it's touched
+CanvasDisplay.prototype.drawCheckpoint = function(checkpoint, x, y, width, height) {
+  let poleX = x + width / 2 - 1;
+  this.cx.fillStyle = 'white';
+  this.cx.fillRect(poleX, y, 2, height);
+
+  let flagY = checkpoint.active ? y : y + height - 10;
+  this.cx.fillStyle = checkpoint.active ? 'rgb(80, 220, 80)' : 'rgb(150, 150, 150)';
+  this.cx.beginPath();
+  this.cx.moveTo(poleX + 2, flagY);
+  this.cx.lineTo(poleX + 12, flagY + 4);
+  this.cx.lineTo(poleX + 2, flagY + 8);
+  this.cx.fill();
+};
+
+/* ================================================================= */
+/* ============================== HUD ============================== */
+/* ================================================================= */
+
+// The HUD shows the progress through the game. `hud` is an object with
+// the level's `name`, `lives`, `level`, `levels`, `coins` (left in the
+// current state), `time` (seconds spent in the current level), the `score`
+// of the level with its `combo` and the `totalScore` of the levels before.
+// Missing entries are skipped.
+function hudLines(hud) {
+  let lines = [];
+  if (hud.name) lines.push(hud.name);
+  if (hud.lives != null) lines.push(`Lives: ${hud.lives}`);
+  if (hud.level != null) lines.push(`Level: ${hud.level}/${hud.levels}`);
+  if (hud.coins != null) lines.push(`Coins: ${hud.coins}`);
+  if (hud.time != null) lines.push(`Time: ${formatTime(hud.time)}`);
+  if (hud.score != null) {
+    let score = (hud.totalScore || 0) + hud.score;
+    lines.push(hud.combo > 1 ? `Score: ${score} x${hud.combo}` : `Score: ${score}`);
+  }
+  return lines;
+}
+
+// The lines of the tally shown at the end of a won level
+function tallyLines(tally) {
+  return [
+    `Coins: ${tally.coins}`,
+    `Monsters: ${tally.stomps}`,
+    `Time bonus (par ${formatTime(tally.parTime)}): ${tally.timeBonus}`,
+    `No-death bonus: ${tally.noDeathBonus}`,
+    `Total: ${tally.total}`,
+  ];
+}
+
+// What the player can do from the tally (see `runLevel` in game.js)
+const TALLY_CHOICES = ['Press Enter to continue', 'Press V to save a replay of this level'];
+
+DOMDisplay.prototype.showTally = function(tally) {
+  this.container.appendChild(elt('div', { class: 'tally' },
+    elt('h2', {}, 'Level complete'),
+    ...tallyLines(tally).map(line => elt('p', {}, line)),
+    ...TALLY_CHOICES.map(choice => elt('p', { class: 'choice' }, choice))));
+};
+
+// The tally is drawn once, over the last frame of the level
+CanvasDisplay.prototype.showTally = function(tally) {
+  let lines = ['Level complete', ...tallyLines(tally), ...TALLY_CHOICES];
+  let lineHeight = HUD_FONT_SIZE * 1.6;
+  let width = Math.min(this.canvas.width - 20, 300);
+  let height = lineHeight * (lines.length + 1);
+  let x = (this.canvas.width - width) / 2;
+  let y = (this.canvas.height - height) / 2;
+
+  this.cx.save();
+  this.cx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+  this.cx.fillRect(x, y, width, height);
+
+  this.cx.fillStyle = 'white';
+  this.cx.font = `${HUD_FONT_SIZE}px sans-serif`;
+  this.cx.textAlign = 'center';
+  this.cx.textBaseline = 'top';
+  lines.forEach((line, i) => {
+    this.cx.fillText(line, this.canvas.width / 2, y + lineHeight * (i + 0.5));
+  });
+  this.cx.restore();
+};
+
+DOMDisplay.prototype.syncHud = function(hud) {
+  let text = hudLines(hud).join('   ');
+
+  // Only touch the DOM when something has changed
+  if (this.hudLayer.textContent !== text) this.hudLayer.textContent = text;
+};
+
+const HUD_FONT_SIZE = 14;
+
+// The HUD is drawn after the actors in screen coordinates, so it doesn't
+// depend on the viewport and stays fixed while the camera moves.
+CanvasDisplay.prototype.syncHud = function(hud) {
+  let lines = hudLines(hud);
+  let padding = 6;
+
+  this.cx.save();
+  this.cx.font = `${HUD_FONT_SIZE}px sans-serif`;
+  this.cx.textBaseline = 'top';
+
+  let x = padding, y = padding;
+  let boxHeight = HUD_FONT_SIZE + padding * 2;
+
+  for (let line of lines) {
+    let width = this.cx.measureText(line).width + padding * 2;
+
+    // Entries that don't fit on the row anymore go on the next one
+    if (x > padding && x + width > this.canvas.width - padding) {
+      x = padding;
+      y += boxHeight + padding;
+    }
+
+    this.cx.fillStyle = 'rgba(0, 0, 0, 0.4)';
+    this.cx.fillRect(x, y, width, boxHeight);
+
+    this.cx.fillStyle = 'white';
+    this.cx.fillText(line, x + padding, y + padding);
+
+    x += width + padding;
+  }
+  this.cx.restore();
+};
+
+/* ========================= PAUSE MENU ========================= */
+
+/*
+While the game is paused, the displays show a menu on top of the level. The
+menu is passed to `syncPauseMenu` every frame, as `{items, selected, pick}`:
+the labels of the items, the index of the highlighted one, and a function that
+picks an item by index when it's clicked or tapped. Passing null hides it.
+*/
+
+DOMDisplay.prototype.syncPauseMenu = function(menu) {
+  if (!menu) {
+    if (this.pauseLayer) this.pauseLayer.remove();
+    this.pauseLayer = null;
+    return;
+  }
+
+  if (!this.pauseLayer) {
+    this.pauseItems = menu.items.map((label, i) => {
+      let item = elt('li', { class: 'choice' }, label);
+      item.addEventListener('click', () => this.pauseMenu.pick(i));
+      return item;
+    });
+    this.pauseLayer = elt('div', { class: 'pause-menu' },
+      elt('h2', {}, 'Paused'), elt('ul', {}, ...this.pauseItems));
+    this.container.appendChild(this.pauseLayer);
+  }
+  this.pauseMenu = menu;
+  this.pauseItems.forEach((item, i) => item.classList.toggle('selected', i === menu.selected));
+};
+
+// The canvas has no elements to click, so the boxes of the items are kept
+// to find the one under the pointer.
+CanvasDisplay.prototype.syncPauseMenu = function(menu) {
+  this.pauseMenu = menu;
+  if (!menu) return;
+
+  if (!this.pauseClick) {
+    this.pauseClick = event => {
+      if (!this.pauseMenu) return;
+
+      // The canvas may be scaled down to fit the page
+      let rect = this.canvas.getBoundingClientRect();
+      let x = (event.clientX - rect.left) * this.canvas.width / rect.width;
+      let y = (event.clientY - rect.top) * this.canvas.height / rect.height;
+      let index = this.pauseBoxes.findIndex(box =>
+        x >= box.x && x < box.x + box.width && y >= box.y && y < box.y + box.height);
+      if (index >= 0) this.pauseMenu.pick(index);
+    };
+    this.canvas.addEventListener('click', this.pauseClick);
+  }
+
+  let lineHeight = HUD_FONT_SIZE * 2;
+  let width = Math.min(this.canvas.width - 20, 240);
+  let height = lineHeight * (menu.items.length + 2);
+  let x = (this.canvas.width - width) / 2;
+  let y = (this.canvas.height - height) / 2;
+
+  this.cx.save();
+  this.cx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+  this.cx.fillRect(x, y, width, height);
+
+  this.cx.font = `${HUD_FONT_SIZE}px sans-serif`;
+  this.cx.textAlign = 'center';
+  this.cx.textBaseline = 'middle';
+  this.cx.fillStyle = 'white';
+  this.cx.fillText('Paused', this.canvas.width / 2, y + lineHeight * 0.75);
+
+  this.pauseBoxes = menu.items.map((label, i) => {
+    let box = { x: x + 10, y: y + lineHeight * (i + 1.5), width: width - 20, height: lineHeight };
+    if (i === menu.selected) {
+      this.cx.fillStyle = 'rgba(255, 255, 255, 0.25)';
+      this.cx.fillRect(box.x, box.y, box.width, box.height);
+    }
+    this.cx.fillStyle = 'white';
+    this.cx.fillText(label, this.canvas.width / 2, box.y + lineHeight / 2);
+    return box;
+  });
+  this.cx.restore();
+};
+
+/* ========================= EFFECTS ========================= */
+
+/*
+The canvas display adds some effects to what happens in the game: sparkles
+for collected coins, a splash when the player falls into lava, dust on
+landing, a puff for stomped monsters, a shake when the player dies and a fade
+in and out of every level. They are started by the game events (see
+GameEvents in core.js) and move with the frame time, apart from the
+simulation. That is also why they use `Math.random` rather than the level's
+random numbers: they can't change how a level plays or replays.
+*/
+
+// The particles of every effect: how many, their colors, how fast they fly
+// off (in grid units per second), how long they last (in seconds) and how
+// fast they fall.
+const PARTICLE_EFFECTS = {
+  sparkle: { count: 10, colors: ['rgb(255, 247, 168)', 'rgb(241, 229, 89)'], speed: 4, life: 0.5, gravity: 0 },
+  splash: { count: 20, colors: ['rgb(255, 100, 0)', 'rgb(255, 176, 0)'], speed: 6, life: 0.8, gravity: 20 },
+  dust: { count: 6, colors: ['rgba(255, 255, 255, 0.7)'], speed: 2, life: 0.3, gravity: 0 },
+  puff: { count: 14, colors: ['rgb(139, 69, 19)', 'white'], speed: 5, life: 0.5, gravity: 10 },
+};
+
+// The size of a particle in grid units
+const PARTICLE_SIZE = 0.15;
+
+// The shake lasts `SHAKE_TIME` seconds and moves the screen by up to
+// `SHAKE_DISTANCE` pixels, less and less as it dies down.
+const SHAKE_TIME = 0.4;
+const SHAKE_DISTANCE = 6;
+
+// How long a fade in or out takes
+const FADE_TIME = 0.4;
+
+// Starts the effects for a game event
+CanvasDisplay.prototype.handleEvent = function(event) {
+  let feet = pos => pos.plus(new Vec(Player.prototype.size.x / 2, Player.prototype.size.y));
+  let center = (pos, size) => pos.plus(size.times(0.5));
+
+  if (event.type === 'collected') {
+    this.burst('sparkle', center(event.pos, event.actor.size));
+  } else if (event.type === 'killed') {
+    this.burst('puff', center(event.pos, event.actor.size));
+  } else if (event.type === 'landed') {
+    this.burst('dust', feet(event.pos));
+  } else if (event.type === 'died') {
+    if (event.cause === 'lava') this.burst('splash', center(event.pos, Player.prototype.size));
+    this.shakeTime = SHAKE_TIME;
+  }
+
+  // A level that is over fades out in the time it stays on screen
+  if (event.type === 'died' || event.type === 'won') {
+    this.fadeSpeed = 1 / FADE_TIME;
+    this.fadeDelay = LEVEL_END_TIME - FADE_TIME;
+  }
+};
+
+// Sends particles flying in every direction from `pos`. The dust only goes
+// sideways and up, as it comes off the floor.
+CanvasDisplay.prototype.burst = function(name, pos) {
+  let { count, colors, speed, life, gravity } = PARTICLE_EFFECTS[name];
+
+  for (let i = 0; i < count; i++) {
+    let angle = name === 'dust' ? -Math.random() * Math.PI : Math.random() * 2 * Math.PI;
+    let velocity = speed * (0.5 + Math.random() / 2);
+    this.particles.push({
+      pos,
+      speed: new Vec(Math.cos(angle) * velocity, Math.sin(angle) * velocity),
+      color: colors[i % colors.length],
+      gravity,
+      life,
+      left: life,
+    });
+  }
+};
+
+// Moves the effects on by `time` seconds
+CanvasDisplay.prototype.advanceEffects = function(time) {
+  this.particles = this.particles
+    .map(p => ({
+      ...p,
+      pos: p.pos.plus(p.speed.times(time)),
+      speed: new Vec(p.speed.x, p.speed.y + p.gravity * time),
+      left: p.left - time,
+    }))
+    .filter(p => p.left > 0);
+
+  this.shakeTime = Math.max(0, this.shakeTime - time);
+
+  if (this.fadeDelay > 0) {
+    this.fadeDelay -= time;
+  } else {
+    this.fade = Math.min(1, Math.max(0, this.fade + this.fadeSpeed * time));
+  }
+};
+
+CanvasDisplay.prototype.shakeScreen = function() {
+  if (this.shakeTime <= 0) return;
+
+  let distance = SHAKE_DISTANCE * this.shakeTime / SHAKE_TIME;
+  this.cx.translate((Math.random() * 2 - 1) * distance, (Math.random() * 2 - 1) * distance);
+};
+
+// Particles shrink and fade as they get older
+CanvasDisplay.prototype.drawParticles = function() {
+  for (let p of this.particles) {
+    let size = PARTICLE_SIZE * SCALE * (0.5 + p.left / p.life / 2);
+    this.cx.globalAlpha = p.left / p.life;
+    this.cx.fillStyle = p.color;
+    this.cx.fillRect((p.pos.x - this.viewport.left) * SCALE - size / 2,
+                     (p.pos.y - this.viewport.top) * SCALE - size / 2,
+                     size, size);
+  }
+  this.cx.globalAlpha = 1;
+};
+
+CanvasDisplay.prototype.drawFade = function() {
+  if (this.fade <= 0) return;
+  this.cx.fillStyle = `rgba(0, 0, 0, ${this.fade})`;
+  this.cx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+};
+
+// The DOM display draws the level as it is, without effects
+DOMDisplay.prototype.handleEvent = function() {};
+DOMDisplay.prototype.advanceEffects = function() {};
@@ -0,0 +1,346 @@
+/* ================================================================== */
+/* ========================== LEVEL EDITOR ========================== */
+/* ================================================================== */
+
+/*
+The editor works directly on the plan format used in GAME_LEVELS: a grid of
+characters from `levelChars`. Tiles and actors are painted onto the grid with
+the mouse, the draft can be play-tested at any time, and the plan is exported
+as text that can be pasted straight into levels.js.
+*/
+
+/* PLAN EDITOR - the grid being edited, with undo and redo */
+class PlanEditor {
+  // `unique` lists the characters that may only appear once in a plan
+  // (the player). Painting one of them somewhere else moves it.
+  constructor(plan, { unique = [] } = {}) {
+    this.unique = unique;
+    this.load(plan);
+  }
+
+  // Replaces the grid with a new plan and forgets the history
+  load(plan) {
+    this.rows = plan.trim().split('\n').map(line => [...line]);
+    this.width = this.rows[0].length;
+    this.height = this.rows.length;
+
+    // Every entry in the history is a stroke: the list of squares changed
+    // by one drag of the mouse, each with its old and new character.
+    this.undoStack = [];
+    this.redoStack = [];
+    this.stroke = null;
+  }
+
+  get(x, y) {
+    return this.rows[y][x];
+  }
+
+  // Changes everything painted until `endStroke` is called into a single step
+  beginStroke() {
+    this.stroke = [];
+  }
+
+  endStroke() {
+    if (this.stroke && this.stroke.length) {
+      this.undoStack.push(this.stroke);
+      this.redoStack = [];
+    }
+    this.stroke = null;
+  }
+
+  // Sets a square to the given character. Returns whether anything changed.
+  paint(x, y, char) {
+    if (x < 0 || x >= this.width || y < 0 || y >= this.height) return false;
+
+    let from = this.rows[y][x];
+    if (from === char) return false;
+
+    // Painting outside of a stroke is a step of its own
+    let single = !this.stroke;
+    if (single) this.beginStroke();
+
+    if (this.unique.includes(char)) {
+      this.rows.forEach((row, rowY) => row.forEach((other, rowX) => {
+        if (other === char) this.set(rowX, rowY, '.');
+      }));
+    }
+    this.set(x, y, char);
+
+    if (single) this.endStroke();
+    return true;
+  }
+
+  set(x, y, char) {
+    this.stroke.push({ x, y, from: this.rows[y][x], to: char });
+    this.rows[y][x] = char;
+  }
+
+  undo() {
+    let stroke = this.undoStack.pop();
+    if (!stroke) return false;
+
+    for (let { x, y, from } of [...stroke].reverse()) this.rows[y][x] = from;
+    this.redoStack.push(stroke);
+    return true;
+  }
+
+  redo() {
+    let stroke = this.redoStack.pop();
+    if (!stroke) return false;
+
+    for (let { x, y, to } of stroke) this.rows[y][x] = to;
+    this.undoStack.push(stroke);
+    return true;
+  }
+
+  // The plan in the same format as the entries of GAME_LEVELS, which start
+  // and end with a newline.
+  toPlan() {
+    return '\n' + this.rows.map(row => row.join('')).join('\n') + '\n';
+  }
+}
+
+// Turns text pasted into the editor into a plan. The text may be copied
+// straight from levels.js, with the backticks and the comma around it.
+function parsePlanText(text) {
+  return text.trim().replace(/^`|`,?$/g, '');
+}
+
+/* ========================= DRAWING THE GRID ========================= */
+
+// The names shown in the palette for every character of `levelChars`
+function paletteName(char) {
+  let type = levelChars[char];
+  if (type === Monster) return `${MONSTER_BEHAVIORS[char]} monster`;
+  if (type === MovingPlatform) return `${char === 'P' ? 'horizontal' : 'vertical'} platform`;
+  return typeof type === 'string' ? type : type.name.toLowerCase();
+}
+
+// The image and position of the sprite for a character, if it has one
+function spriteFor(char) {
+  let type = levelChars[char];
+
+  if (type === Lava) return tileSprite('lava');
+  if (type === MovingPlatform) return tileSprite('platform');
+  if (type === Coin) return [otherSprites, 2 * SCALE];
+  if (typeof type === 'string' && type !== 'empty') return tileSprite(type);
+  return null;
+}
+
+function drawEditorGrid(cx, editor) {
+  cx.fillStyle = 'rgb(52, 166, 251)';
+  cx.fillRect(0, 0, editor.width * SCALE, editor.height * SCALE);
+
+  cx.font = `${SCALE * 0.7}px monospace`;
+  cx.textAlign = 'center';
+  cx.textBaseline = 'middle';
+
+  for (let y = 0; y < editor.height; y++) {
+    for (let x = 0; x < editor.width; x++) {
+      let char = editor.get(x, y);
+      let type = levelChars[char];
+      let screenX = x * SCALE, screenY = y * SCALE;
+
+      if (type === Player) {
+        // The player sprite is one-and-a-half squares high, and stands on
+        // the bottom of its square
+        cx.drawImage(playerSprites, 8 * 24, 0, 24, 30,
+                     screenX - 4, screenY - 10, 24, 30);
+      } else if (type === Monster) {
+        // Monsters are two squares high and stand on their square as well
+        cx.drawImage(monsterSprites, 0, 0, 24, 40,
+                     screenX, screenY - SCALE, 24, 40);
+      } else if (spriteFor(char)) {
+        let [sprites, tileX] = spriteFor(char);
+        cx.drawImage(sprites, tileX, 0, SCALE, SCALE,
+                     screenX, screenY, SCALE, SCALE);
+      }
+
+      // Actors that share a sprite get their character drawn on top, so
+      // that the different kinds of lava and monsters can be told apart
+      if (typeof type === 'function' && type !== Player && type !== Coin) {
+        cx.fillStyle = 'white';
+        cx.fillText(char, screenX + SCALE / 2, screenY + SCALE / 2);
+      }
+    }
+  }
+
+  cx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+  cx.beginPath();
+  for (let x = 0; x <= editor.width; x++) {
+    cx.moveTo(x * SCALE + 0.5, 0);
+    cx.lineTo(x * SCALE + 0.5, editor.height * SCALE);
+  }
+  for (let y = 0; y <= editor.height; y++) {
+    cx.moveTo(0, y * SCALE + 0.5);
+    cx.lineTo(editor.width * SCALE, y * SCALE + 0.5);
+  }
+  cx.stroke();
+}
+
+/* ========================= EDITOR SCREEN ========================= */
+
+/**
+ * Opens the editor for a plan. Painting uses the left mouse button, the
+ * right button erases. Ctrl+Z and Ctrl+Y undo and redo.
+ *
+ * @param {String} plan the plan to start from
+ * @param {Function} Display the display used to play-test the draft
+ */
+function runEditor(plan, Display = CanvasDisplay) {
+  let players = Object.keys(levelChars).filter(char => levelChars[char] === Player);
+  let editor = new PlanEditor(plan, { unique: players });
+  let selected = '#';
+
+  let canvas = elt('canvas', {});
+  let cx = canvas.getContext('2d');
+  let text = elt('textarea', { class: 'plan', rows: 8, spellcheck: 'false' });
+  let message = elt('p', { class: 'message' });
+
+  let palette = Object.keys(levelChars).map(char => {
+    let button = elt('button', { type: 'button' }, `${char} ${paletteName(char)}`);
+    button.addEventListener('click', () => select(char));
+    return { char, button };
+  });
+
+  function button(label, action) {
+    let dom = elt('button', { type: 'button' }, label);
+    dom.addEventListener('click', action);
+    return dom;
+  }
+
+  let dom = elt('div', { class: 'editor' },
+    elt('div', { class: 'palette' }, ...palette.map(p => p.button)),
+    elt('div', { class: 'tools' },
+      button('Undo', () => { if (editor.undo()) redraw(); }),
+      button('Redo', () => { if (editor.redo()) redraw(); }),
+      button('Play', playTest),
+      button('Export', exportPlan),
+      button('Load', loadPlan)),
+    elt('div', { class: 'grid' }, canvas),
+    message,
+    text
+  );
+
+  function select(char) {
+    selected = char;
+    for (let p of palette) p.button.classList.toggle('selected', p.char === char);
+  }
+
+  function redraw() {
+    canvas.width = editor.width * SCALE;
+    canvas.height = editor.height * SCALE;
+    drawEditorGrid(cx, editor);
+  }
+
+  function showErrors(errors) {
+    message.textContent = errors.map(formatPlanError).join('; ');
+  }
+
+  function exportPlan() {
+    text.value = '`' + editor.toPlan() + '`,';
+    text.select();
+    message.textContent = 'Copy the plan into GAME_LEVELS in levels.js.';
+  }
+
+  function loadPlan() {
+    let plan = parsePlanText(text.value);
+    let errors = validatePlan(plan);
+
+    // Unknown characters and ragged rows can't be edited on a grid, but a
+    // plan that only misses a player or coins can still be worked on.
+    if (errors.some(e => (e.line != null && e.column == null) ||
+                         /unknown character/.test(e.message))) {
+      showErrors(errors);
+      return;
+    }
+    editor.load(plan);
+    message.textContent = '';
+    redraw();
+  }
+
+  async function playTest() {
+    let errors = validatePlan(editor.toPlan());
+    if (errors.length) {
+      showErrors(errors);
+      return;
+    }
+
+    dom.remove();
+    window.removeEventListener('keydown', keyHandler);
+
+    // Restarting from the pause menu plays the draft again
+    let status;
+    do {
+      ({ status } = await runLevel(new Level(editor.toPlan()), Display));
+    } while (status === 'restart');
+
+    message.textContent = { won: 'Level won.', lost: 'Level lost.', quit: 'Play-test stopped.' }[status];
+    document.body.appendChild(dom);
+    window.addEventListener('keydown', keyHandler);
+  }
+
+  // Painting with the mouse. Every drag is one stroke in the history.
+  function squareAt(event) {
+    let rect = canvas.getBoundingClientRect();
+    return {
+      x: Math.floor((event.clientX - rect.left) / SCALE),
+      y: Math.floor((event.clientY - rect.top) / SCALE),
+    };
+  }
+
+  function paintAt(event, char) {
+    let { x, y } = squareAt(event);
+    if (editor.paint(x, y, char)) redraw();
+  }
+
+  canvas.addEventListener('contextmenu', event => event.preventDefault());
+  canvas.addEventListener('mousedown', event => {
+    event.preventDefault();
+    let char = event.button === 2 ? '.' : selected;
+
+    editor.beginStroke();
+    paintAt(event, char);
+
+    function move(event) {
+      paintAt(event, char);
+    }
+    function end() {
+      editor.endStroke();
+      window.removeEventListener('mousemove', move);
+      window.removeEventListener('mouseup', end);
+    }
+    window.addEventListener('mousemove', move);
+    window.addEventListener('mouseup', end);
+  });
+
+  function keyHandler(event) {
+    if (!event.ctrlKey || event.target === text) return;
+
+    let key = event.key.toLowerCase();
+    if (key === 'z' && !event.shiftKey) {
+      if (editor.undo()) redraw();
+    } else if (key === 'y' || (key === 'z' && event.shiftKey)) {
+      if (editor.redo()) redraw();
+    } else {
+      return;
+    }
+    event.preventDefault();
+  }
+  window.addEventListener('keydown', keyHandler);
+
+  select(selected);
+  document.body.appendChild(dom);
+
+  // The sprites may still be loading when the editor opens
+  redraw();
+  otherSprites.addEventListener('load', redraw);
+  tileSprites.addEventListener('load', redraw);
+  playerSprites.addEventListener('load', redraw);
+  monsterSprites.addEventListener('load', redraw);
+}
+
+// In Node the plan editor is used as a module (by the tests).
+if (typeof module !== 'undefined') {
+  module.exports = { PlanEditor, parsePlanText };
+}
@@ -0,0 +1,778 @@
+/* ===================================================================== */
+/* ========================== PLAYING REPLAYS ========================== */
+/* ===================================================================== */
+
+// Offers the replay as a JSON file download, to attach it to a bug report
+function downloadReplay(replay, name = 'replay.json') {
+  let blob = new Blob([JSON.stringify(replay)], { type: 'application/json' });
+  let link = elt('a', { href: URL.createObjectURL(blob), download: name });
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
+// Plays a recording back on the given display in real time: the recorded
+// steps are run as the frame time adds up to them, just like `runLevel` does.
+// Resolves to the final status, like `runLevel`.
+function replayLevel(replay, Display) {
+  let level = replay.level();
+  let display = new Display(document.body, level);
+  let state = replay.start(level);
+  let previous = state;
+  let accumulator = 0;
+  let elapsed = 0;
+  let frameIndex = 0;
+
+  return new Promise(resolve => {
+    runAnimation(time => {
+      if (frameIndex === replay.frames.length) {
+        display.clear();
+        resolve({ status: state.status, time: elapsed });
+        return false;
+      }
+
+      accumulator += time;
+      while (frameIndex < replay.frames.length &&
+             accumulator >= replay.frames[frameIndex][0]) {
+        let frame = replay.frames[frameIndex++];
+        accumulator -= frame[0];
+        previous = state;
+        state = state.update(frame[0], Replay.actions(frame));
+        // The effects play along with the events of every step, like in
+        // `runLevel`
+        for (let event of state.events) display.handleEvent(event);
+        if (state.status === 'playing') elapsed += frame[0];
+      }
+
+      // The level fades in and out like in `runLevel`
+      display.advanceEffects(time);
+
+      let next = replay.frames[frameIndex];
+      let alpha = next ? Math.min(accumulator / next[0], 1) : 1;
+      display.syncState(interpolateState(previous, state, alpha));
+      display.syncHud({ coins: state.coinsLeft, time: elapsed, score: state.score.points });
+      return true;
+    });
+  });
+}
+
+/* ===================================================================== */
+/* ========================= RUNNING THE GAME ========================== */
+/* ===================================================================== */
+
+// Settings that change how the game runs. They can be changed on the
+// settings screen, and are saved (see loadGameSettings in storage.js).
+const SETTINGS = loadGameSettings({
+  // The number of simulation steps per second. Higher rates make the physics
+  // more precise but cost more time per frame.
+  tickRate: TICK_RATE,
+  // Whether restarting a level from the pause menu counts as a death
+  restartCostsLife: false,
+});
+
+// The tick rates the settings screen goes through
+const TICK_RATES = [60, 120, 240];
+if (!TICK_RATES.includes(SETTINGS.tickRate)) SETTINGS.tickRate = TICK_RATE;
+
+// The keys the player picked in the settings screen, or the default ones
+function playerBindings() {
+  return readBindings(loadBindings());
+}
+
+// Resolves when one of the given keys is pressed, or the screen is tapped
+// (which resolves to null)
+function waitForKey(keys) {
+  return new Promise(resolve => {
+    function done(key) {
+      window.removeEventListener('keydown', handler);
+      window.removeEventListener('pointerdown', tap);
+      resolve(key);
+    }
+    function handler(event) {
+      if (!keys.includes(event.key)) return;
+
+      event.preventDefault();
+      done(event.key);
+    }
+    function tap() {
+      done(null);
+    }
+    window.addEventListener('keydown', handler);
+    window.addEventListener('pointerdown', tap);
+  });
+}
+
+function runAnimation(frameFunc) {
+  let lastTime = null;
+
+  function frame(time) {
+    if (lastTime != null) {
+      let timeStep = Math.min(time - lastTime, 100) / 1000;
+      
+      if (frameFunc(timeStep) === false) return;
+    }
+    lastTime = time;
+    requestAnimationFrame(frame);
+  }
+
+  requestAnimationFrame(frame);
+}
+
+// How long a won or lost level stays on screen before it ends, in seconds
+const LEVEL_END_TIME = 1;
+
+// The items of the pause menu, in the order they are shown
+const PAUSE_ITEMS = [
+  { label: 'Resume', value: 'resume' },
+  { label: 'Restart level', value: 'restart' },
+  { label: 'Settings', value: 'settings' },
+  { label: 'Quit to title', value: 'quit' },
+];
+
+// `hud` holds the information about the game shown on the HUD along with
+// the level's coins and time. `deaths` is the number of times the player
+// already died in this level, which counts for the score. After dying, the
+// level can be started from a `checkpoint` (what `state.checkpoint` saved)
+// with the level's clock at `time`. Resolves to the final `status`, the
+// `time` (in seconds) the level took, the `replay` of the run, the
+// `checkpoint` to respawn at when the level was lost and, when the level was
+// won, its `tally` and `score`. The status is "restart" or "quit" when the
+// player picked that in the pause menu. What happens in the level is sent to
+// `events` (see GameEvents in core.js), between a "levelstart" and a
+// "levelend" event, along with "pause" and "resume" when the game is paused
+// (by the player or because the page was hidden) and goes on.
+function runLevel(level, Display, hud = {},
+                  { deaths = 0, checkpoint = null, time = 0, events = new GameEvents() } = {}) {
+  let display = new Display(document.body, level);
+  let replay = Replay.forLevel(level, checkpoint);
+  let state = replay.start(level);
+  let previous = state;
+  let step = 1 / SETTINGS.tickRate;
+  let accumulator = 0;
+  let ending = LEVEL_END_TIME;
+  let elapsed = checkpoint ? time : 0;
+
+  // While the game is paused, `menu` tracks the keys that move through the
+  // pause menu and `selected` is the highlighted item. `busy` is set while
+  // the settings screen is open on top of the game.
+  let paused = false, menu = null, selected = 0, busy = false;
+  let quit = null;
+
+  return new Promise(resolve => {
+    // Touch screens get buttons on top of the game
+    let touch = isTouchDevice() ? touchControls(display.container) : null;
+
+    // The pause action pauses the game or goes on with it
+    function onPress(action) {
+      if (action !== 'pause' || busy) return;
+      if (paused) resume();
+      else pause();
+    }
+    let actions = trackActions(playerBindings(), onPress, touch);
+
+    function pause() {
+      if (paused || state.status !== 'playing') return;
+      paused = true;
+      selected = 0;
+      menu = trackMenu(move);
+      events.emit({ type: 'pause' });
+    }
+
+    function resume() {
+      paused = false;
+      menu.unregister();
+      menu = null;
+      events.emit({ type: 'resume' });
+    }
+
+    function move(direction) {
+      let count = PAUSE_ITEMS.length;
+      if (direction === 'up') selected = (selected + count - 1) % count;
+      else if (direction === 'down') selected = (selected + 1) % count;
+      else pick(selected);
+    }
+
+    async function pick(index) {
+      if (busy) return;
+      let { value } = PAUSE_ITEMS[index];
+
+      if (value === 'resume') {
+        resume();
+      } else if (value === 'settings') {
+        // The settings screen reads the keys itself, so the game stops
+        // listening until it's closed. The bindings may have changed by then.
+        busy = true;
+        menu.unregister();
+        actions.unregister();
+        await showSettings();
+        actions = trackActions(playerBindings(), onPress, touch);
+        // The tick rate may have changed as well
+        step = 1 / SETTINGS.tickRate;
+        accumulator = 0;
+        menu = trackMenu(move);
+        busy = false;
+      } else {
+        // Restarting and quitting end the level on the next frame
+        quit = value;
+      }
+    }
+
+    // A game left running in a hidden tab would be lost before the player
+    // is back, so it pauses itself.
+    function visibility() {
+      if (document.hidden) pause();
+    }
+    document.addEventListener('visibilitychange', visibility);
+
+    // The display shows effects for the events of the level
+    let unsubscribe = events.on('*', event => display.handleEvent(event));
+    events.emit({ type: 'levelstart', level, number: hud.level });
+
+    // The simulation always advances by the same time step, whatever the
+    // frame rate. The frame time is collected in `accumulator`, and as many
+    // steps are run as fit into it. The rest is carried over to the next frame.
+    function tick() {
+      replay.record(step, actions);
+      previous = state;
+      state = state.update(step, actions);
+      for (let event of state.events) events.emit(event);
+
+      // The level timer stops as soon as the level is won or lost
+      if (state.status === 'playing') elapsed += step;
+      else ending -= step;
+    }
+
+    function finish() {
+      actions.unregister();
+      if (menu) menu.unregister();
+      document.removeEventListener('visibilitychange', visibility);
+      events.emit({ type: 'levelend', level, status: quit || state.status });
+      unsubscribe();
+    }
+
+    function frame(time) {
+      // The animation keeps running while the game is paused, so that the
+      // gamepads are still read and the menu is drawn
+      actions.poll();
+      if (menu && !busy) menu.poll();
+
+      if (quit) {
+        finish();
+        display.clear();
+        resolve({ status: quit, time: elapsed, replay, tally: null, score: 0, checkpoint: null });
+        return false;
+      }
+
+      if (!paused) {
+        accumulator += time;
+        while (accumulator >= step) {
+          accumulator -= step;
+          tick();
+        }
+        display.advanceEffects(time);
+      }
+
+      // The leftover time in the accumulator tells us how far we are between
+      // the last two states, which is used to smooth out the drawing.
+      display.syncState(interpolateState(previous, state, accumulator / step));
+      display.syncHud({
+        ...hud,
+        name: level.meta.name,
+        coins: state.coinsLeft,
+        time: elapsed,
+        score: state.score.points,
+        combo: state.score.combo,
+      });
+      display.syncPauseMenu(paused ? {
+        items: PAUSE_ITEMS.map(item => item.label),
+        selected,
+        pick,
+      } : null);
+
+      if (state.status === 'playing' || ending > 0) {
+        return true;
+      }
+
+      finish();
+
+      if (state.status === 'won') {
+        // A won level shows its tally until the player goes on. This is the
+        // screen between levels, so the replay can be saved from it too.
+        let tally = levelTally(state, { time: elapsed, deaths });
+        display.showTally(tally);
+        (async () => {
+          let keys = ['Enter', ' ', SAVE_REPLAY_KEY, SAVE_REPLAY_KEY.toUpperCase()];
+          while ((await waitForKey(keys) || '').toLowerCase() === SAVE_REPLAY_KEY) {
+            downloadReplay(replay, `replay-level-${hud.level || 1}.json`);
+          }
+          display.clear();
+          resolve({ status: state.status, time: elapsed, replay, tally, score: tally.total });
+        })();
+      } else {
+        display.clear();
+        resolve({ status: state.status, time: elapsed, replay, tally: null, score: 0,
+                  checkpoint: state.checkpoint });
+      }
+      return false;
+    }
+    runAnimation(frame);
+  });
+}
+
+/* ================================================================= */
+/* ========================= GAME SCREENS ========================== */
+/* ================================================================= */
+
+// A game goes through a number of phases. Between the levels (while no
+// display is on the screen) a message screen is shown for the current phase.
+// After a won level, its tally (see `runLevel`) is the screen in between.
+const GAME_PHASES = {
+  title: 'title',
+  playing: 'playing',
+  gameOver: 'gameOver',
+  gameComplete: 'gameComplete',
+};
+
+// Each screen has a heading and the choices the player can make. Every
+// choice is picked with a key.
+const SCREENS = {
+  title: {
+    heading: 'Platform Game',
+    choices: [
+      { key: 'Enter', label: 'Press Enter to start', value: 'start' },
+      { key: 's', label: 'Press S to change the settings', value: 'settings' },
+    ],
+  },
+  gameOver: {
+    heading: 'Game over',
+    choices: [
+      { key: 'c', label: 'Press C to continue from this level', value: 'continue' },
+      { key: 'r', label: 'Press R to restart from level 1', value: 'restart' },
+      { key: 'Escape', label: 'Press Escape to quit', value: 'quit' },
+    ],
+  },
+  gameComplete: {
+    heading: "You've won!",
+    choices: [{ key: 'Enter', label: 'Press Enter to finish', value: 'finish' }],
+  },
+};
+
+// The key that saves the replay of the last level, on the tally and the
+// screens that come after a level
+const SAVE_REPLAY_KEY = 'v';
+
+// Shows the screen for the given phase and returns a promise that resolves
+// to the value of the choice the player made. When `info` has the `replay`
+// of the last level, it can be saved from the screen as well.
+function showScreen(phase, info) {
+  let { heading, choices } = SCREENS[phase];
+  let lines = [];
+
+  // The title screen shows the title of the level pack
+  if (info.title) heading = info.title;
+  if (info.author) lines.push(`by ${info.author}`);
+  if (info.level != null) lines.push(`Level ${info.level} of ${info.levels}`);
+  if (info.lives != null) lines.push(`Lives: ${info.lives}`);
+
+  // On touch screens the choices are tapped instead
+  let choiceElements = choices.map(choice => elt('p', { class: 'choice' }, choice.label));
+  let saveReplay = () => downloadReplay(info.replay, `replay-level-${info.replayLevel || 1}.json`);
+  let saveElement = info.replay
+    ? elt('p', { class: 'choice' }, 'Press V to save a replay of the last level')
+    : null;
+
+  let dom = elt('div', { class: `screen ${phase}` },
+    elt('h1', {}, heading),
+    ...lines.map(line => elt('p', {}, line)),
+    ...choiceElements,
+    ...(saveElement ? [saveElement] : [])
+  );
+  document.body.appendChild(dom);
+
+  return new Promise(resolve => {
+    function choose(choice) {
+      window.removeEventListener('keydown', handler);
+      dom.remove();
+      resolve(choice.value);
+    }
+
+    function handler(event) {
+      // Saving the replay leaves the screen open
+      if (saveElement && event.key.toLowerCase() === SAVE_REPLAY_KEY) {
+        event.preventDefault();
+        saveReplay();
+        return;
+      }
+
+      let choice = choices.find(c => c.key.toLowerCase() === event.key.toLowerCase());
+      if (!choice) return;
+
+      event.preventDefault();
+      choose(choice);
+    }
+    window.addEventListener('keydown', handler);
+    choiceElements.forEach((element, i) => element.addEventListener('click', () => choose(choices[i])));
+    if (saveElement) saveElement.addEventListener('click', saveReplay);
+  });
+}
+
+// Lets the player pick one of the unlocked levels with the arrow keys.
+// Resolves to the index of the chosen level.
+function showLevelSelect(levels, save) {
+  let unlocked = Math.min(save.unlocked, levels);
+  let selected = unlocked - 1;
+
+  let items = [];
+  for (let i = 0; i < unlocked; i++) {
+    let record = save.record(i);
+    let best = record
+      ? ` (best: ${formatTime(record.bestTime)}, deaths: ${record.fewestDeaths})`
+      : '';
+    items.push(elt('li', {}, `Level ${i + 1}${best}`));
+  }
+
+  let dom = elt('div', { class: 'screen levelSelect' },
+    elt('h1', {}, 'Select level'),
+    elt('ul', {}, ...items),
+    elt('p', { class: 'choice' }, 'Use the arrow keys and press Enter to play')
+  );
+
+  function highlight() {
+    items.forEach((item, i) => item.classList.toggle('selected', i === selected));
+  }
+  highlight();
+  document.body.appendChild(dom);
+
+  return new Promise(resolve => {
+    function choose(level) {
+      window.removeEventListener('keydown', handler);
+      dom.remove();
+      resolve(level);
+    }
+
+    function handler(event) {
+      if (event.key === 'ArrowUp') {
+        selected = Math.max(0, selected - 1);
+      } else if (event.key === 'ArrowDown') {
+        selected = Math.min(unlocked - 1, selected + 1);
+      } else if (event.key === 'Enter') {
+        choose(selected);
+      } else {
+        return;
+      }
+      event.preventDefault();
+      highlight();
+    }
+    window.addEventListener('keydown', handler);
+
+    // A level can also be tapped
+    items.forEach((item, i) => item.addEventListener('click', () => choose(i)));
+  });
+}
+
+// The sound settings, listed below the actions on the settings screen
+const AUDIO_ROWS = ['master', 'music', 'effects', 'muted'];
+
+const AUDIO_NAMES = {
+  master: 'Volume',
+  music: 'Music',
+  effects: 'Effects',
+  muted: 'Sound',
+};
+
+const VOLUME_STEP = 0.1;
+
+// The rows of the game settings (see SETTINGS), after the sound
+const GAME_ROWS = ['tickRate', 'restartCostsLife'];
+
+const GAME_NAMES = {
+  tickRate: 'Physics steps per second',
+  restartCostsLife: 'Restarting costs a life',
+};
+
+// Moves a game setting one step to the left (-1) or the right (1). Settings
+// that are on or off are switched either way.
+function changeGameSetting(settings, row, direction) {
+  if (typeof settings[row] === 'boolean') {
+    settings[row] = !settings[row];
+  } else if (row === 'tickRate') {
+    let index = TICK_RATES.indexOf(settings.tickRate) + direction;
+    settings.tickRate = TICK_RATES[Math.min(TICK_RATES.length - 1, Math.max(0, index))];
+  }
+}
+
+// Shows the keys of every action and lets the player bind another key to
+// one, followed by the sound and the game settings. The arrow keys and Enter
+// always work on this screen, whatever they are bound to. Changes are saved
+// right away. Resolves when the player goes back.
+function showSettings(bindings = playerBindings(), save = saveBindings, audio = gameAudio,
+                      game = SETTINGS, saveGame = saveGameSettings) {
+  let selected = 0;
+  let waiting = false;
+
+  let items = [...ACTIONS, ...AUDIO_ROWS, ...GAME_ROWS].map(() => elt('li', {}));
+  let back = elt('p', { class: 'choice' }, 'Press Escape to go back');
+  let dom = elt('div', { class: 'screen settings' },
+    elt('h1', {}, 'Settings'),
+    elt('ul', {}, ...items),
+    elt('p', { class: 'choice' }, 'Use the arrow keys and press Enter to change a key'),
+    elt('p', { class: 'choice' }, 'Left and Right change the other settings, Enter switches them on or off'),
+    elt('p', { class: 'choice' }, 'Press Backspace to reset the keys'),
+    back
+  );
+
+  // The sound or game setting at an index of the list, if it is one
+  let audioRow = index => AUDIO_ROWS[index - ACTIONS.length];
+  let gameRow = index => GAME_ROWS[index - ACTIONS.length - AUDIO_ROWS.length];
+
+  function render() {
+    items.forEach((item, i) => {
+      let row = audioRow(i);
+      let setting = gameRow(i);
+      if (setting) {
+        let value = game[setting];
+        if (typeof value === 'boolean') value = value ? 'yes' : 'no';
+        item.textContent = `${GAME_NAMES[setting]}: ${value}`;
+      } else if (row === 'muted') {
+        item.textContent = `${AUDIO_NAMES[row]}: ${audio.settings.muted ? 'off' : 'on'}`;
+      } else if (row) {
+        item.textContent = `${AUDIO_NAMES[row]}: ${Math.round(audio.settings[row] * 100)}%`;
+      } else {
+        let action = ACTIONS[i];
+        let keys = waiting && i === selected
+          ? 'press a key...'
+          : bindings[action].map(keyLabel).join(', ') || '(none)';
+        item.textContent = `${ACTION_NAMES[action]}: ${keys}`;
+      }
+      item.classList.toggle('selected', i === selected);
+    });
+  }
+  render();
+  document.body.appendChild(dom);
+
+  return new Promise(resolve => {
+    function close() {
+      window.removeEventListener('keydown', handler);
+      dom.remove();
+      resolve(bindings);
+    }
+
+    function handler(event) {
+      let row = audioRow(selected);
+      let volume = row && row !== 'muted';
+      let setting = gameRow(selected);
+
+      if (waiting) {
+        // Any key can be bound, Escape and Enter included
+        bindings = rebind(bindings, ACTIONS[selected], keyName(event));
+        save(bindings);
+        waiting = false;
+      } else if (event.key === 'ArrowUp') {
+        selected = Math.max(0, selected - 1);
+      } else if (event.key === 'ArrowDown') {
+        selected = Math.min(items.length - 1, selected + 1);
+      } else if (volume && (event.key === 'ArrowLeft' || event.key === 'ArrowRight')) {
+        let step = event.key === 'ArrowLeft' ? -VOLUME_STEP : VOLUME_STEP;
+        // Rounded, so that the steps don't drift away from whole percentages
+        audio.setVolume(row, Math.round((audio.settings[row] + step) * 10) / 10);
+      } else if (setting && (event.key === 'ArrowLeft' || event.key === 'ArrowRight')) {
+        changeGameSetting(game, setting, event.key === 'ArrowLeft' ? -1 : 1);
+        saveGame(game);
+      } else if (event.key === 'Enter') {
+        if (row === 'muted') {
+          audio.toggleMute();
+        } else if (setting) {
+          changeGameSetting(game, setting, 1);
+          saveGame(game);
+        } else if (!row) {
+          waiting = true;
+        }
+      } else if (event.key === 'Backspace') {
+        bindings = readBindings(null);
+        save(bindings);
+      } else if (event.key === 'Escape') {
+        close();
+        return;
+      } else {
+        return;
+      }
+      event.preventDefault();
+      render();
+    }
+    window.addEventListener('keydown', handler);
+
+    // Without a keyboard, only the sound can be turned on or off
+    items.forEach((item, i) => {
+      if (audioRow(i) === 'muted') {
+        item.addEventListener('click', () => {
+          audio.toggleMute();
+          render();
+        });
+      }
+    });
+    back.addEventListener('click', close);
+  });
+}
+
+/* ================================================================= */
+/* =========================== GAME FLOW =========================== */
+/* ================================================================= */
+
+const START_LIVES = 3;
+
+// The summary of a run that hasn't played any levels yet
+function emptySummary() {
+  return { levelsCleared: 0, deaths: 0, continues: 0, time: 0, score: 0, completed: false, replay: null };
+}
+
+/**
+ * Runs the whole game: the title screen, the levels in order and the screens
+ * in between. When the player runs out of lives, they can continue from the
+ * current level or restart from level 1.
+ *
+ * @param {Array} plans level plans
+ * @param {Function} Display display constructor
+ * @param {Object} options
+ *  - `lives` number of lives at start (and after continuing)
+ *  - `runLevel` plays a single level (given the level, the display, the
+ *    HUD information, and the deaths in the level with the checkpoint and
+ *    time to go on from and the events) and resolves to its result
+ *  - `showScreen` shows a screen for a phase and resolves to the player's choice
+ *  - `now` returns the current time in milliseconds
+ *  - `save` the `SaveData` that keeps the unlocked levels and best results
+ *  - `selectLevel` lets the player pick a level to start from (given the
+ *    number of levels and the save) and resolves to its index
+ *  - `showSettings` lets the player change the controls and the sound and
+ *    resolves when done
+ *  - `settings` the game settings, like whether restarting a level costs a
+ *    life (SETTINGS by default)
+ *  - `events` the `GameEvents` that what happens in the levels is sent to,
+ *    along with "gameover" when the player runs out of lives and
+ *    "gamecomplete" when the last level is won
+ *  - `title` and `author` of the levels, shown on the title screen
+ *
+ * @returns {Promise} resolves to a summary of the run: `levelsCleared`,
+ * `deaths`, `continues`, `time` (in seconds), the total `score`, whether the
+ * game was `completed` and the `replay` of the last level played
+ */
+async function runGame(plans, Display, options = {}) {
+  let {
+    lives: startLives = START_LIVES,
+    runLevel: playLevel = runLevel,
+    showScreen: show = showScreen,
+    now = () => Date.now(),
+    save = new SaveData(),
+    selectLevel = showLevelSelect,
+    showSettings: changeSettings = showSettings,
+    settings = SETTINGS,
+    events = new GameEvents(),
+    title = null,
+    author = null,
+  } = options;
+
+  let startTime = now();
+  let summary = emptySummary();
+  let lives = startLives;
+  let level = 0;
+  let phase = GAME_PHASES.title;
+
+  // Shows the title screen and resolves to the level to start from
+  async function toTitle() {
+    // The title screen comes back after changing the settings
+    while (await show(GAME_PHASES.title, { title, author }) === 'settings') {
+      await changeSettings();
+    }
+
+    // The level select is only worth showing once there is a choice
+    if (Math.min(save.unlocked, plans.length) > 1) {
+      return selectLevel(plans.length, save);
+    }
+    return 0;
+  }
+  level = await toTitle();
+
+  // Deaths in the current level, stored with the level's results
+  let levelDeaths = 0;
+  // The checkpoint (and the level's time) to go on from after dying, if the
+  // player touched one
+  let respawn = {};
+
+  while (phase !== GAME_PHASES.gameComplete) {
+    phase = GAME_PHASES.playing;
+    let { status, time, replay, score, checkpoint } = await playLevel(
+      new Level(plans[level]), Display,
+      { lives, level: level + 1, levels: plans.length, totalScore: summary.score },
+      { deaths: levelDeaths, events, ...respawn });
+    summary.replay = replay;
+
+    if (status === 'won') {
+      summary.score += score;
+      save.completeLevel(level, time, levelDeaths);
+      levelDeaths = 0;
+      respawn = {};
+      summary.levelsCleared++;
+      level++;
+
+      if (level === plans.length) phase = GAME_PHASES.gameComplete;
+      continue;
+    }
+
+    if (status === 'quit') {
+      // Quitting gives up the run, and a new one starts from the title screen
+      level = await toTitle();
+      startTime = now();
+      summary = emptySummary();
+      lives = startLives;
+      levelDeaths = 0;
+      respawn = {};
+      continue;
+    }
+
+    // A restarted level starts from the beginning, and only costs a life
+    // when the settings say so
+    if (status === 'restart' && !settings.restartCostsLife) {
+      respawn = {};
+      continue;
+    }
+
+    summary.deaths++;
+    levelDeaths++;
+    lives--;
+    respawn = checkpoint ? { checkpoint, time } : {};
+    if (lives > 0) continue;
+
+    phase = GAME_PHASES.gameOver;
+    events.emit({ type: 'gameover', level: level + 1, summary });
+    let choice = await show(phase, { level: level + 1, levels: plans.length, lives,
+                                     replay, replayLevel: level + 1 });
+
+    if (choice === 'continue') {
+      summary.continues++;
+      lives = startLives;
+    } else if (choice === 'restart') {
+      // Restarting is a fresh run, so the summary starts over as well
+      startTime = now();
+      summary = emptySummary();
+      lives = startLives;
+      level = 0;
+      levelDeaths = 0;
+      respawn = {};
+    } else {
+      break;
+    }
+  }
+
+  if (phase === GAME_PHASES.gameComplete) {
+    summary.completed = true;
+    events.emit({ type: 'gamecomplete', summary });
+    await show(phase, { lives, replay: summary.replay, replayLevel: plans.length });
+  }
+
+  summary.time = (now() - startTime) / 1000;
+  return summary;
+}
+
+// In Node the game flow is used as a module (by the tests). The scripts it
+// builds on have to be loaded as globals first.
+if (typeof module !== 'undefined') {
+  module.exports = { SETTINGS, GAME_PHASES, START_LIVES, emptySummary, runGame };
+}
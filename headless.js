@@ -0,0 +1,215 @@
+/* ===================================================================== */
+/* ========================= HEADLESS RUNNER =========================== */
+/* ===================================================================== */
+
+/*
+Runs a level without any display or keyboard, in Node. The player's actions
+are given by a script instead, and the state is advanced in the same fixed steps as in the
+browser. This is what the tests use to check the physics and collisions.
+
+The tests are run with `node --test` from the root of the project.
+
+The runner can also `benchmark` a level, with or without drawing it. For
+that the displays of display.js are loaded into a context of their own, with
+a stand-in for the browser's `document`, so the frames are really drawn (just
+not shown) in Node as well.
+*/
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { Level, State, TICK_RATE } = require('./core');
+
+class HeadlessRunner {
+  // `plan` is a level plan (or a `Level`). The options are the `seed` of
+  // the level and the `tickRate` of the simulation.
+  constructor(plan, { seed = 1, tickRate = TICK_RATE } = {}) {
+    this.level = plan instanceof Level ? plan : new Level(plan, seed);
+    this.state = State.start(this.level);
+    this.step = 1 / tickRate;
+    this.time = 0;
+  }
+
+  // Advances the simulation by a single step with the given actions (like
+  // 'left' or 'jump') held
+  tick(actions = []) {
+    let down = Object.create(null);
+    for (let action of actions) down[action] = true;
+
+    this.state = this.state.update(this.step, down);
+    this.time += this.step;
+    return this.state;
+  }
+
+  // Holds the given actions for a number of seconds. Stops early when the
+  // level is won or lost, unless `untilEnd` is false.
+  hold(seconds, actions = [], { untilEnd = true } = {}) {
+    let steps = Math.round(seconds / this.step);
+
+    for (let i = 0; i < steps; i++) {
+      this.tick(actions);
+      if (untilEnd && this.state.status !== 'playing') break;
+    }
+    return this.state;
+  }
+
+  // Runs a script: an array of `[seconds, actions]` pairs, held one after another
+  run(script) {
+    for (let [seconds, actions] of script) {
+      this.hold(seconds, actions);
+      if (this.state.status !== 'playing') break;
+    }
+    return this.state;
+  }
+
+  get player() {
+    return this.state.player;
+  }
+
+  // The actors of the given type in the current state
+  actors(type) {
+    return this.state.actors.filter(actor => actor.type === type);
+  }
+
+  /**
+   * Plays the level from the start with `benchmarkLevel` (see benchmark.js),
+   * apart from the runner's own state, and draws every frame with the given
+   * display.
+   *
+   * @param {Object} options
+   *  - `display` 'canvas', 'dom' or null to only time the simulation
+   *  - `cacheBackground` false to draw the canvas tiles one by one again
+   *  - and the options of `benchmarkLevel`, like `frames` and `actions`
+   * @returns {Object} what `benchmarkLevel` returns, with the `drawCalls`
+   * made to the canvas contexts and the `elements` created per frame
+   */
+  benchmark({ display = null, cacheBackground = true, ...options } = {}) {
+    let browser = loadDisplays();
+    let level = new browser.Level(this.level.plan, this.level.seed);
+
+    let draw = () => {};
+    if (display) {
+      let Display = display === 'dom' ? browser.DOMDisplay : browser.CanvasDisplay;
+      let shown = new Display(browser.document.body, level);
+      shown.cacheBackground = cacheBackground;
+      draw = state => shown.syncState(state);
+    }
+
+    // Only what the frames do counts, not setting up the display
+    browser.counts.drawCalls = browser.counts.elements = 0;
+    let result = browser.benchmarkLevel(level, { tickRate: 1 / this.step, draw, ...options });
+    return {
+      ...result,
+      drawCalls: browser.counts.drawCalls / result.frames,
+      elements: browser.counts.elements / result.frames,
+    };
+  }
+}
+
+/* ===================== DRAWING WITHOUT A BROWSER ===================== */
+
+// The scripts the displays need, in the order of index.html
+const DISPLAY_SCRIPTS = ['core.js', 'themes.js', 'display.js', 'benchmark.js'];
+
+// Just enough of an element for the displays. Nothing is laid out, so the
+// size of every element is the size of the game's view.
+class StubElement {
+  constructor(name, counts) {
+    this.nodeName = name.toUpperCase();
+    this.counts = counts;
+    this.parent = null;
+    this.children = [];
+    this.style = {};
+    this.className = '';
+    this.classList = { add() {}, remove() {}, toggle() {} };
+    this.textContent = '';
+    this.width = this.height = 0;
+    this.clientWidth = 600;
+    this.clientHeight = 450;
+    this.scrollLeft = this.scrollTop = 0;
+    this.complete = true;
+  }
+
+  setAttribute(name, value) {
+    if (name === 'class') this.className = value;
+  }
+
+  appendChild(child) {
+    if (child.parent) child.remove();
+    child.parent = this;
+    this.children.push(child);
+    return child;
+  }
+
+  remove() {
+    if (!this.parent) return;
+    this.parent.children = this.parent.children.filter(child => child !== this);
+    this.parent = null;
+  }
+
+  replaceWith(other) {
+    if (!this.parent) return;
+    let children = this.parent.children;
+    if (other.parent) other.remove();
+    children[children.indexOf(this)] = other;
+    other.parent = this.parent;
+    this.parent = null;
+  }
+
+  addEventListener() {}
+  removeEventListener() {}
+
+  getBoundingClientRect() {
+    return { left: 0, top: 0, width: this.width, height: this.height };
+  }
+
+  getContext() {
+    if (!this.context) this.context = stubContext(this.counts);
+    return this.context;
+  }
+}
+
+// A 2D context that only counts the calls made to it. Its properties (like
+// `fillStyle`) can be set as usual.
+function stubContext(counts) {
+  let context = {
+    measureText: text => ({ width: String(text).length * 7 }),
+  };
+  return new Proxy(context, {
+    get(target, name) {
+      if (name in target) return target[name];
+      return () => { counts.drawCalls++; };
+    },
+  });
+}
+
+function stubDocument(counts) {
+  return {
+    body: new StubElement('body', counts),
+    createElement(name) {
+      counts.elements++;
+      return new StubElement(name, counts);
+    },
+    createTextNode(text) {
+      return { textContent: text };
+    },
+  };
+}
+
+// Runs the scripts of the displays in a fresh context with a stub
+// `document`. Returns the classes from that context and the `counts` of the
+// calls made to the canvas contexts and the elements created.
+function loadDisplays() {
+  let counts = { drawCalls: 0, elements: 0 };
+  let document = stubDocument(counts);
+  let context = vm.createContext({ document, performance, console });
+
+  for (let file of DISPLAY_SCRIPTS) {
+    let source = fs.readFileSync(path.join(__dirname, file), 'utf8');
+    vm.runInContext(source, context, { filename: file });
+  }
+  let classes = vm.runInContext('({ Level, State, CanvasDisplay, DOMDisplay, benchmarkLevel })', context);
+  return { ...classes, document, counts };
+}
+
+module.exports = { HeadlessRunner, loadDisplays };
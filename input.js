@@ -0,0 +1,327 @@
+/* ================================================================== */
+/* ========================= TRACKING INPUT ========================= */
+/* ================================================================== */
+
+/*
+The game doesn't look at keys directly. The keyboard, gamepads and the
+on-screen buttons of touch screens are turned into the player's actions, and
+the actors only see which actions are held.
+Which keys do what can be changed by the player in the settings screen.
+*/
+
+// The actions, in the order the settings screen lists them
+const ACTIONS = ['left', 'right', 'jump', 'down', 'pause'];
+
+const ACTION_NAMES = {
+  left: 'Left',
+  right: 'Right',
+  jump: 'Jump / climb',
+  down: 'Climb down',
+  pause: 'Pause',
+};
+
+// The keys (as in `event.key`, with letters in lower case) of every action
+const DEFAULT_BINDINGS = {
+  left: ['ArrowLeft', 'a'],
+  right: ['ArrowRight', 'd'],
+  jump: ['ArrowUp', 'w', ' '],
+  down: ['ArrowDown', 's'],
+  pause: ['Escape', 'p'],
+};
+
+// Gamepads are read with the standard button layout: the d-pad (12 to 15),
+// the bottom face button (0) to jump and start (9) to pause. The left stick
+// works like the d-pad once it's pushed past `STICK_THRESHOLD`.
+const GAMEPAD_BUTTONS = {
+  left: [14],
+  right: [15],
+  jump: [0, 12],
+  down: [13],
+  pause: [9],
+};
+const STICK_THRESHOLD = 0.5;
+
+// The name a key event is bound by. Letters are the same with and without
+// shift.
+function keyName(event) {
+  return event.key.length === 1 ? event.key.toLowerCase() : event.key;
+}
+
+// How a key is shown to the player
+function keyLabel(key) {
+  if (key === ' ') return 'Space';
+  return key.length === 1 ? key.toUpperCase() : key;
+}
+
+// Reads bindings as they were saved. Actions that are missing or don't have
+// a list of keys get their default keys.
+function readBindings(data) {
+  let bindings = {};
+  for (let action of ACTIONS) {
+    let keys = data && data[action];
+    let valid = Array.isArray(keys) && keys.every(key => typeof key === 'string');
+    bindings[action] = valid ? keys : DEFAULT_BINDINGS[action];
+  }
+  return bindings;
+}
+
+// Binds a key to an action, in place of the keys it had. A key only does
+// one thing, so it's taken away from any other action.
+function rebind(bindings, action, key) {
+  let changed = {};
+  for (let other of ACTIONS) {
+    changed[other] = other === action ? [key] : bindings[other].filter(k => k !== key);
+  }
+  return changed;
+}
+
+// The actions held on any of the connected gamepads
+function gamepadActions(gamepads) {
+  let held = Object.create(null);
+
+  for (let pad of gamepads) {
+    if (!pad) continue;
+
+    let pressed = index => pad.buttons[index] && pad.buttons[index].pressed;
+    for (let action of ACTIONS) {
+      if (GAMEPAD_BUTTONS[action].some(pressed)) held[action] = true;
+    }
+
+    let [x = 0, y = 0] = pad.axes;
+    if (x < -STICK_THRESHOLD) held.left = true;
+    if (x > STICK_THRESHOLD) held.right = true;
+    if (y > STICK_THRESHOLD) held.down = true;
+  }
+  return held;
+}
+
+function connectedGamepads() {
+  return typeof navigator !== 'undefined' && navigator.getGamepads
+    ? Array.from(navigator.getGamepads())
+    : [];
+}
+
+/* ========================= TOUCH CONTROLS ========================= */
+
+// The on-screen buttons, from left to right
+const TOUCH_BUTTONS = [
+  { action: 'left', label: '\u25C0' },
+  { action: 'right', label: '\u25B6' },
+  { action: 'pause', label: 'II' },
+  { action: 'down', label: '\u25BC' },
+  { action: 'jump', label: '\u25B2' },
+];
+
+function isTouchDevice() {
+  return typeof window !== 'undefined' &&
+         ('ontouchstart' in window || navigator.maxTouchPoints > 0);
+}
+
+/**
+ * Adds on-screen buttons for the actions on top of a display. Every finger
+ * is followed on its own, so that one can run while another jumps, and a
+ * finger can slide from one button to the next.
+ *
+ * @param {Element} container the element the display draws into
+ * @returns {Object} `held`, the actions held by fingers
+ */
+function touchControls(container) {
+  let held = Object.create(null);
+
+  // The action under every finger on the buttons, by pointer id
+  let fingers = new Map();
+
+  let buttons = TOUCH_BUTTONS.map(({ action, label }) =>
+    elt('div', { class: `touch-button ${action}`, 'data-action': action }, label));
+  let dom = elt('div', { class: 'touch-controls' }, ...buttons);
+
+  function actionAt(event) {
+    let target = document.elementFromPoint(event.clientX, event.clientY);
+    let button = target && target.closest('.touch-button');
+    return button && dom.contains(button) ? button.dataset.action : null;
+  }
+
+  function update() {
+    let actions = new Set(fingers.values());
+    for (let { action } of TOUCH_BUTTONS) held[action] = actions.has(action);
+    buttons.forEach(button => button.classList.toggle('held', held[button.dataset.action]));
+  }
+
+  function press(event) {
+    event.preventDefault();
+    fingers.set(event.pointerId, actionAt(event));
+    update();
+  }
+
+  function slide(event) {
+    if (!fingers.has(event.pointerId)) return;
+    fingers.set(event.pointerId, actionAt(event));
+    update();
+  }
+
+  function release(event) {
+    fingers.delete(event.pointerId);
+    update();
+  }
+
+  dom.addEventListener('pointerdown', press);
+  dom.addEventListener('pointermove', slide);
+  dom.addEventListener('pointerup', release);
+  dom.addEventListener('pointercancel', release);
+
+  container.appendChild(dom);
+  update();
+  return { held };
+}
+
+/* ========================= ACTION TRACKING ======================== */
+
+/**
+ * Tracks which actions are held down. The returned object has a property for
+ * every action, which is true while one of its keys or buttons is held.
+ * Gamepads can't be listened to, so they (and the touch controls) are only
+ * read when `poll` is called (once per frame). `unregister` stops the
+ * tracking.
+ *
+ * @param {Object} bindings the keys of every action
+ * @param {Function} onPress called with the name of an action when it is
+ * pressed (not when it is held)
+ * @param {Object} touch the touch controls (see `touchControls`), if any
+ */
+function trackActions(bindings, onPress = () => {}, touch = null) {
+  let actions = Object.create(null);
+  let keysDown = new Set();
+  let gamepad = Object.create(null);
+
+  function update() {
+    for (let action of ACTIONS) {
+      let wasDown = actions[action];
+      actions[action] = bindings[action].some(key => keysDown.has(key)) ||
+                        gamepad[action] === true ||
+                        (touch !== null && touch.held[action] === true);
+      if (actions[action] && !wasDown) onPress(action);
+    }
+  }
+
+  // The same handler function is used for both event types.
+  function track(event) {
+    let key = keyName(event);
+    if (!ACTIONS.some(action => bindings[action].includes(key))) return;
+
+    // It looks at the event object’s type property to determine whether
+    // the key is now held ("keydown") or not ("keyup").
+    if (event.type === 'keydown') keysDown.add(key);
+    else keysDown.delete(key);
+
+    event.preventDefault();
+    update();
+  }
+
+  // Keys that are held while the window loses focus never get their keyup
+  function blur() {
+    keysDown.clear();
+    update();
+  }
+
+  window.addEventListener('keydown', track);
+  window.addEventListener('keyup', track);
+  window.addEventListener('blur', blur);
+
+  // The extra properties can't be enumerated, so that only the actions are
+  // recorded in replays
+  Object.defineProperty(actions, 'poll', {
+    value: () => {
+      gamepad = gamepadActions(connectedGamepads());
+      update();
+    },
+  });
+  Object.defineProperty(actions, 'unregister', {
+    value: () => {
+      window.removeEventListener('keydown', track);
+      window.removeEventListener('keyup', track);
+      window.removeEventListener('blur', blur);
+    },
+  });
+
+  update();
+  return actions;
+}
+
+/* ========================= MENU INPUT ========================= */
+
+// Menus are moved through with the same keys and buttons whatever the
+// bindings are: the arrow keys (or W and S), Enter or space to pick an item,
+// and the d-pad or left stick with the bottom face button on gamepads.
+const MENU_KEYS = {
+  up: ['ArrowUp', 'w'],
+  down: ['ArrowDown', 's'],
+  select: ['Enter', ' '],
+};
+
+const MENU_BUTTONS = {
+  up: [12],
+  down: [13],
+  select: [0],
+};
+
+// The menu moves held on any of the connected gamepads
+function gamepadMenuMoves(gamepads) {
+  let held = Object.create(null);
+
+  for (let pad of gamepads) {
+    if (!pad) continue;
+
+    let pressed = index => pad.buttons[index] && pad.buttons[index].pressed;
+    for (let move of Object.keys(MENU_BUTTONS)) {
+      if (MENU_BUTTONS[move].some(pressed)) held[move] = true;
+    }
+
+    let y = pad.axes[1] || 0;
+    if (y < -STICK_THRESHOLD) held.up = true;
+    if (y > STICK_THRESHOLD) held.down = true;
+  }
+  return held;
+}
+
+/**
+ * Calls `onMove` with "up", "down" or "select" whenever one of the menu keys
+ * or buttons is pressed. Like `trackActions`, gamepads are only read when
+ * `poll` is called, and `unregister` stops the tracking.
+ *
+ * @param {Function} onMove called with the name of the move
+ */
+function trackMenu(onMove) {
+  // Buttons that are already held when the menu opens don't count
+  let held = gamepadMenuMoves(connectedGamepads());
+
+  function key(event) {
+    let name = keyName(event);
+    let move = Object.keys(MENU_KEYS).find(move => MENU_KEYS[move].includes(name));
+    if (!move) return;
+
+    event.preventDefault();
+    onMove(move);
+  }
+  window.addEventListener('keydown', key);
+
+  return {
+    poll() {
+      let now = gamepadMenuMoves(connectedGamepads());
+      for (let move of Object.keys(MENU_BUTTONS)) {
+        if (now[move] && !held[move]) onMove(move);
+      }
+      held = now;
+    },
+    unregister() {
+      window.removeEventListener('keydown', key);
+    },
+  };
+}
+
+// In Node the input helpers are used as a module (by the tests).
+if (typeof module !== 'undefined') {
+  module.exports = {
+    ACTIONS, DEFAULT_BINDINGS, GAMEPAD_BUTTONS, STICK_THRESHOLD,
+    keyName, keyLabel, readBindings, rebind, gamepadActions, gamepadMenuMoves,
+  };
+}
@@ -184,3 +184,8 @@ var GAME_LEVELS = [`
 ..................................................############################################################
 ..............................................................................................................
 `];
+
+// In Node the levels are used as a module (for example by the tests).
+if (typeof module !== 'undefined') {
+  module.exports = { GAME_LEVELS };
+}
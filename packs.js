@@ -0,0 +1,145 @@
+/* ================================================================== */
+/* =========================== LEVEL PACKS ========================== */
+/* ================================================================== */
+
+/*
+Loading level packs in the browser. A pack can come from:
+
+- a URL, relative to the page: `?pack=packs/example.json`
+- a file dropped onto the page, or picked with the "Load level pack" button
+
+The format of packs is described in core.js. A pack from a file is kept in
+the session storage and the page is reloaded to start the new campaign.
+*/
+
+const PACK_SESSION_KEY = 'platform-game-pack';
+
+class PackError extends Error {
+  constructor(errors) {
+    super('Invalid level pack:\n' + errors.map(formatPackError).join('\n'));
+    this.name = 'PackError';
+    this.errors = errors;
+  }
+}
+
+// The campaign of levels.js, as a pack
+function defaultPack() {
+  return {
+    format: PACK_FORMAT,
+    version: PACK_FORMAT_VERSION,
+    id: 'default',
+    title: 'Platform Game',
+    author: null,
+    levels: GAME_LEVELS,
+  };
+}
+
+// Level files are read as structured levels when they are JSON, and as plan
+// strings otherwise
+function parseLevelFile(name, text) {
+  return /\.json$/i.test(name) ? JSON.parse(text) : text;
+}
+
+// Reads the levels a manifest refers to as `{ file }` from next to the
+// manifest's URL and checks the result
+async function resolvePack(manifest, baseURL) {
+  if (manifest && Array.isArray(manifest.levels)) {
+    manifest.levels = await Promise.all(manifest.levels.map(async level => {
+      if (level === null || typeof level !== 'object' || !('file' in level)) return level;
+
+      if (!baseURL) {
+        throw new PackError([{ message: `level file "${level.file}" can't be read from a local pack` }]);
+      }
+      let url = new URL(level.file, baseURL);
+      let response = await fetch(url);
+      if (!response.ok) {
+        throw new PackError([{ message: `level file "${level.file}" could not be loaded (${response.status})` }]);
+      }
+      return parseLevelFile(level.file, await response.text());
+    }));
+  }
+
+  let errors = validatePack(manifest);
+  if (errors.length) throw new PackError(errors);
+  return manifest;
+}
+
+async function loadPackFromURL(url) {
+  let absolute = new URL(url, location.href);
+  let response = await fetch(absolute);
+
+  if (!response.ok) {
+    throw new PackError([{ message: `the pack could not be loaded (${response.status})` }]);
+  }
+  return resolvePack(await response.json(), absolute);
+}
+
+async function loadPackFromFile(file) {
+  let manifest;
+  try {
+    manifest = JSON.parse(await file.text());
+  } catch (e) {
+    throw new PackError([{ message: `${file.name} is not a JSON file` }]);
+  }
+  return resolvePack(manifest, null);
+}
+
+// Picks the pack to play: the one in the URL, then the one loaded from a file
+// in this session, and otherwise the levels of levels.js
+async function initialPack() {
+  let params = new URLSearchParams(location.search);
+  if (params.has('pack')) return loadPackFromURL(params.get('pack'));
+
+  let stored = sessionStorage.getItem(PACK_SESSION_KEY);
+  if (stored) {
+    try {
+      return await resolvePack(JSON.parse(stored), null);
+    } catch (e) {
+      sessionStorage.removeItem(PACK_SESSION_KEY);
+    }
+  }
+  return defaultPack();
+}
+
+// Shows an error about a pack until it is clicked away
+function showPackError(error) {
+  let lines = error instanceof PackError ? error.errors.map(formatPackError) : [String(error.message)];
+  let dom = elt('div', { class: 'pack-error' },
+    elt('strong', {}, 'The level pack could not be loaded'),
+    ...lines.map(line => elt('p', {}, line)));
+
+  dom.addEventListener('click', () => dom.remove());
+  document.body.appendChild(dom);
+}
+
+// Lets the player load a pack from a file, by dropping it on the page or
+// with a file picker. The pack is stored for the session and the page reloaded.
+function watchPackFiles() {
+  async function load(file) {
+    try {
+      let pack = await loadPackFromFile(file);
+      sessionStorage.setItem(PACK_SESSION_KEY, JSON.stringify(pack));
+
+      // Without a URL parameter, the stored pack is picked up on reload
+      let url = new URL(location.href);
+      url.searchParams.delete('pack');
+      location.href = url.href;
+    } catch (error) {
+      showPackError(error);
+    }
+  }
+
+  let input = elt('input', { type: 'file', accept: '.json,application/json' });
+  input.addEventListener('change', () => {
+    if (input.files.length) load(input.files[0]);
+  });
+
+  let label = elt('label', { class: 'pack-picker' }, 'Load level pack', input);
+  document.body.appendChild(label);
+
+  window.addEventListener('dragover', event => event.preventDefault());
+  window.addEventListener('drop', event => {
+    event.preventDefault();
+    if (event.dataTransfer.files.length) load(event.dataTransfer.files[0]);
+  });
+}
@@ -0,0 +1,231 @@
+/* ================================================================== */
+/* ============================ STORAGE ============================= */
+/* ================================================================== */
+
+/*
+The game remembers the player's progress between page reloads: which levels
+are unlocked and the best results for every level. The data is kept as JSON
+in a storage object with the same interface as `localStorage`, so that tests
+can use an in-memory stand-in instead.
+*/
+
+// The version is stored along with the data. When the shape of the save data
+// changes, the version is bumped and older saves are reset.
+const SAVE_VERSION = 1;
+const SAVE_KEY = 'platform-game-save';
+
+// In-memory storage with the part of the `localStorage` interface we use.
+class MemoryStorage {
+  constructor() {
+    this.items = new Map();
+  }
+
+  getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.items.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.items.delete(key);
+  }
+}
+
+// Uses `localStorage` when it's available. Some browsers throw when it is
+// accessed (for example with cookies disabled), in which case the progress
+// is only kept until the page is closed.
+function defaultStorage() {
+  try {
+    if (typeof localStorage !== 'undefined' && localStorage) return localStorage;
+  } catch (e) {
+    // Fall through to the in-memory storage
+  }
+  return new MemoryStorage();
+}
+
+function emptySave() {
+  return { version: SAVE_VERSION, unlocked: 1, levels: {} };
+}
+
+// Checks that the parsed data has the shape of the current version
+function isValidSave(data) {
+  return data != null &&
+         typeof data === 'object' &&
+         data.version === SAVE_VERSION &&
+         Number.isInteger(data.unlocked) && data.unlocked >= 1 &&
+         data.levels != null && typeof data.levels === 'object' &&
+         Object.values(data.levels).every(record =>
+           record != null &&
+           typeof record.bestTime === 'number' &&
+           typeof record.fewestDeaths === 'number');
+}
+
+class SaveData {
+  constructor(storage = defaultStorage(), key = SAVE_KEY) {
+    this.storage = storage;
+    this.key = key;
+    this.data = this.load();
+  }
+
+  // Reads the save from the storage. Data that can't be parsed or was
+  // written by another version is replaced with an empty save.
+  load() {
+    let data = null;
+    try {
+      data = JSON.parse(this.storage.getItem(this.key));
+    } catch (e) {
+      data = null;
+    }
+
+    if (data === null) return emptySave();
+
+    if (!isValidSave(data)) {
+      let save = emptySave();
+      this.write(save);
+      return save;
+    }
+    return data;
+  }
+
+  write(data = this.data) {
+    try {
+      this.storage.setItem(this.key, JSON.stringify(data));
+    } catch (e) {
+      // A full or unavailable storage shouldn't stop the game
+    }
+  }
+
+  // The number of levels the player can pick from the level select
+  get unlocked() {
+    return this.data.unlocked;
+  }
+
+  // The best results for a level (by index) or `null` when it has never
+  // been completed
+  record(level) {
+    return this.data.levels[level] || null;
+  }
+
+  // Stores the results of a completed level and unlocks the next one
+  completeLevel(level, time, deaths) {
+    let old = this.record(level);
+
+    this.data.levels[level] = {
+      bestTime: old ? Math.min(old.bestTime, time) : time,
+      fewestDeaths: old ? Math.min(old.fewestDeaths, deaths) : deaths,
+    };
+    this.data.unlocked = Math.max(this.data.unlocked, level + 2);
+    this.write();
+  }
+
+  reset() {
+    this.data = emptySave();
+    this.write();
+  }
+}
+
+/* ========================== KEY BINDINGS ========================== */
+
+// The keys the player picked for every action (see input.js) are kept apart
+// from the progress, as they are the same for every level pack.
+const BINDINGS_KEY = 'platform-game-bindings';
+
+// Returns the saved bindings, or null when there are none (or they can't be
+// parsed). `readBindings` fills in whatever is missing.
+function loadBindings(storage = defaultStorage()) {
+  try {
+    return JSON.parse(storage.getItem(BINDINGS_KEY));
+  } catch (e) {
+    return null;
+  }
+}
+
+function saveBindings(bindings, storage = defaultStorage()) {
+  try {
+    storage.setItem(BINDINGS_KEY, JSON.stringify(bindings));
+  } catch (e) {
+    // Like the progress, the bindings are then only kept for this visit
+  }
+}
+
+/* ========================= AUDIO SETTINGS ========================= */
+
+// The volumes (from 0 to 1) and whether the sound is muted. Like the key
+// bindings, they are the same for every level pack.
+const AUDIO_KEY = 'platform-game-audio';
+
+const DEFAULT_AUDIO_SETTINGS = { master: 0.8, music: 0.5, effects: 0.8, muted: false };
+
+// Returns the saved audio settings, with the defaults for anything that is
+// missing or broken
+function loadAudioSettings(storage = defaultStorage()) {
+  let data;
+  try {
+    data = JSON.parse(storage.getItem(AUDIO_KEY));
+  } catch (e) {
+    data = null;
+  }
+
+  let settings = { ...DEFAULT_AUDIO_SETTINGS };
+  if (data == null || typeof data !== 'object') return settings;
+
+  for (let channel of ['master', 'music', 'effects']) {
+    let volume = data[channel];
+    if (typeof volume === 'number' && volume >= 0 && volume <= 1) settings[channel] = volume;
+  }
+  if (typeof data.muted === 'boolean') settings.muted = data.muted;
+  return settings;
+}
+
+function saveAudioSettings(settings, storage = defaultStorage()) {
+  try {
+    storage.setItem(AUDIO_KEY, JSON.stringify(settings));
+  } catch (e) {
+    // The settings are then only kept for this visit
+  }
+}
+
+/* ========================== GAME SETTINGS ========================= */
+
+// The settings of how the game runs (see SETTINGS in game.js), which are
+// the same for every level pack too.
+const GAME_SETTINGS_KEY = 'platform-game-settings';
+
+// Returns the saved game settings. Anything that is missing, or isn't of the
+// same type as in `defaults`, keeps its default.
+function loadGameSettings(defaults, storage = defaultStorage()) {
+  let data;
+  try {
+    data = JSON.parse(storage.getItem(GAME_SETTINGS_KEY));
+  } catch (e) {
+    data = null;
+  }
+
+  let settings = { ...defaults };
+  if (data == null || typeof data !== 'object') return settings;
+
+  for (let name of Object.keys(defaults)) {
+    if (typeof data[name] === typeof defaults[name]) settings[name] = data[name];
+  }
+  return settings;
+}
+
+function saveGameSettings(settings, storage = defaultStorage()) {
+  try {
+    storage.setItem(GAME_SETTINGS_KEY, JSON.stringify(settings));
+  } catch (e) {
+    // The settings are then only kept for this visit
+  }
+}
+
+// In Node the storage is used as a module (by the tests).
+if (typeof module !== 'undefined') {
+  module.exports = {
+    SAVE_VERSION, SAVE_KEY, MemoryStorage, defaultStorage, SaveData,
+    BINDINGS_KEY, loadBindings, saveBindings,
+    AUDIO_KEY, DEFAULT_AUDIO_SETTINGS, loadAudioSettings, saveAudioSettings,
+    GAME_SETTINGS_KEY, loadGameSettings, saveGameSettings,
+  };
+}
@@ -0,0 +1,131 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { Level, LevelError, Replay, State } = require('../core');
+const { HeadlessRunner } = require('../headless');
+
+test('touching lava loses the level', () => {
+  let run = new HeadlessRunner(`
+....o
+..@..
+.....
++++++`);
+  run.hold(1);
+  assert.strictEqual(run.state.status, 'lost');
+});
+
+test('collecting coins removes them and the last one wins the level', () => {
+  let run = new HeadlessRunner(`
+...........
+.@...o...o.
+###########`);
+  run.hold(0.8, ['right']);
+  assert.strictEqual(run.actors('coin').length, 1);
+  assert.strictEqual(run.state.status, 'playing');
+
+  run.hold(1, ['right']);
+  assert.strictEqual(run.actors('coin').length, 0);
+  assert.strictEqual(run.state.status, 'won');
+});
+
+test('landing on a monster defeats it', () => {
+  let run = new HeadlessRunner(`
+.........o
+....@.....
+..........
+..........
+..........
+....M.....
+##########`);
+  run.hold(1);
+  assert.strictEqual(run.actors('monster').length, 0);
+  assert.strictEqual(run.state.status, 'playing');
+});
+
+test('running into a monster loses the level', () => {
+  let run = new HeadlessRunner(`
+.........o
+.@........
+.......M..
+##########`);
+  run.hold(2, ['right']);
+  assert.strictEqual(run.state.status, 'lost');
+});
+
+test('bouncing lava turns around at walls', () => {
+  let run = new HeadlessRunner(`
+#.....o#
+#.=....#
+#......#
+#.@....#
+########`);
+  let [lava] = run.actors('lava');
+  assert.ok(lava.speed.x > 0);
+
+  run.hold(2.5);
+  [lava] = run.actors('lava');
+  assert.ok(lava.speed.x < 0, 'the lava moves back');
+  assert.ok(lava.pos.x >= 1 && lava.pos.x + lava.size.x <= 7);
+});
+
+test('dripping lava jumps back to its start', () => {
+  let run = new HeadlessRunner(`
+#.v...o#
+#......#
+#......#
+#.....@#
+########`);
+  let start = run.actors('lava')[0].pos;
+
+  run.hold(0.5);
+  assert.ok(run.actors('lava')[0].pos.y > start.y);
+
+  // Falling three squares at 3 squares per second takes about a second
+  run.hold(0.6);
+  assert.ok(run.actors('lava')[0].pos.y < start.y + 0.5, 'the lava is back at the top');
+});
+
+test('replays reproduce a run exactly', () => {
+  let level = new Level(`
+...........
+.@...o...o.
+###########`, 7);
+  let replay = Replay.forLevel(level);
+  let state = State.start(level);
+
+  for (let i = 0; i < 200; i++) {
+    let keys = { right: i % 60 < 40, jump: i % 50 < 3 };
+    replay.record(1 / 120, keys);
+    state = state.update(1 / 120, keys);
+  }
+
+  let copy = Replay.fromJSON(JSON.stringify(replay));
+  assert.deepStrictEqual(copy.simulate(), state);
+});
+
+test('replays of version 1 are read with their keys as actions', () => {
+  let plan = `
+...........
+.@...o...o.
+###########`;
+  let replay = Replay.fromJSON({
+    version: 1, plan, seed: 7, frames: [[1 / 120, ['ArrowRight', 'ArrowUp']]],
+  });
+  assert.deepStrictEqual(replay.frames, [[1 / 120, ['right', 'jump']]]);
+});
+
+test('replays that cannot be played back are rejected', () => {
+  let plan = `
+...........
+.@...o...o.
+###########`;
+  let replay = fields => () => Replay.fromJSON({ version: 2, plan, seed: 7, frames: [], ...fields });
+
+  assert.doesNotThrow(replay({}));
+  assert.throws(() => Replay.fromJSON('[]'), /should be an object/);
+  assert.throws(replay({ frames: undefined }), /frames of a replay/);
+  assert.throws(replay({ frames: [[0, []]] }), /frames of a replay/);
+  assert.throws(replay({ frames: [[1 / 120, 'right']] }), /frames of a replay/);
+  assert.throws(replay({ plan: plan.replace('@', '.') }), LevelError);
+  assert.throws(replay({ version: 3 }), /Unsupported replay version/);
+});
@@ -0,0 +1,145 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const core = require('../core');
+const storage = require('../storage');
+const { GameEvents } = core;
+const { DEFAULT_AUDIO_SETTINGS } = storage;
+
+// audio.js is a browser script, which finds the rest of the game as globals
+Object.assign(globalThis, core, storage);
+const { MUSIC, noteFrequency, levelTune, GameAudio } = require('../audio');
+
+// Just enough of the Web Audio API: nodes remember whether they were
+// disconnected, and the context keeps the oscillators it made
+class StubParam {
+  constructor() { this.value = 1; }
+  setValueAtTime() {}
+  exponentialRampToValueAtTime() {}
+}
+
+class StubNode {
+  constructor() {
+    this.gain = new StubParam();
+    this.frequency = new StubParam();
+    this.disconnected = false;
+  }
+  connect(node) { return node; }
+  disconnect() { this.disconnected = true; }
+  start() {}
+  stop() {}
+}
+
+class StubContext {
+  constructor() {
+    this.currentTime = 0;
+    this.state = 'running';
+    this.destination = new StubNode();
+    this.oscillators = [];
+  }
+  createGain() { return new StubNode(); }
+  createOscillator() {
+    let oscillator = new StubNode();
+    this.oscillators.push(oscillator);
+    return oscillator;
+  }
+  resume() {}
+}
+
+globalThis.window = { AudioContext: StubContext };
+
+// An audio output with the default settings that keeps what it saves. The
+// music is stopped after the test, so that its timer doesn't keep running.
+function stubAudio(t) {
+  let saved = [];
+  let audio = new GameAudio({ ...DEFAULT_AUDIO_SETTINGS }, settings => saved.push(settings));
+  t.after(() => audio.stopMusic());
+  return { audio, saved };
+}
+
+test('notes are counted in semitones from A4', () => {
+  assert.strictEqual(noteFrequency(0), 440);
+  assert.strictEqual(noteFrequency(12), 880);
+  assert.strictEqual(noteFrequency(-12), 220);
+  assert.ok(Math.abs(noteFrequency(3) - 523.25) < 0.01);
+});
+
+test('levels play their own tune or take turns by number', () => {
+  let names = Object.keys(MUSIC);
+  assert.strictEqual(levelTune({ meta: { music: 'castle' } }, 1), 'castle');
+
+  let plain = { meta: { music: 'polka' } };
+  assert.strictEqual(levelTune(plain, 1), names[0]);
+  assert.strictEqual(levelTune(plain, 2), names[1]);
+  assert.strictEqual(levelTune(plain, names.length + 1), names[0]);
+});
+
+test('volumes are kept between 0 and 1 and saved', t => {
+  let { audio, saved } = stubAudio(t);
+  audio.unlock();
+
+  audio.setVolume('music', 2);
+  audio.setVolume('effects', -1);
+  assert.strictEqual(audio.settings.music, 1);
+  assert.strictEqual(audio.settings.effects, 0);
+  assert.deepStrictEqual(saved, [
+    { ...DEFAULT_AUDIO_SETTINGS, music: 1 },
+    { ...DEFAULT_AUDIO_SETTINGS, music: 1, effects: 0 },
+  ]);
+  assert.strictEqual(audio.music.gain.value, 1);
+  assert.strictEqual(audio.effects.gain.value, 0);
+
+  audio.toggleMute();
+  assert.strictEqual(audio.master.gain.value, 0);
+  assert.strictEqual(saved.length, 3);
+});
+
+test('the music pauses, resumes and stops', t => {
+  let { audio } = stubAudio(t);
+  audio.unlock();
+
+  audio.startMusic('cave');
+  let output = audio.tuneOutput;
+  assert.strictEqual(audio.tune, 'cave');
+  assert.ok(audio.musicTimer);
+  assert.ok(audio.context.oscillators.length > 0, 'the first notes are scheduled');
+
+  // Pausing cuts off the notes, but remembers the tune
+  audio.pauseMusic();
+  assert.strictEqual(audio.musicPaused, true);
+  assert.strictEqual(audio.tune, 'cave');
+  assert.strictEqual(audio.musicTimer, null);
+  assert.ok(output.disconnected);
+
+  audio.resumeMusic();
+  assert.strictEqual(audio.musicPaused, false);
+  assert.ok(audio.musicTimer);
+  assert.notStrictEqual(audio.tuneOutput, output);
+
+  audio.stopMusic();
+  assert.strictEqual(audio.tune, null);
+  assert.strictEqual(audio.musicTimer, null);
+  assert.strictEqual(audio.tuneOutput, null);
+});
+
+test('music asked for before the audio is unlocked waits for it', t => {
+  let { audio } = stubAudio(t);
+  let events = new GameEvents();
+  audio.listen(events);
+
+  events.emit({ type: 'levelstart', level: { meta: { music: 'castle' } }, number: 1 });
+  assert.strictEqual(audio.tune, 'castle');
+  assert.strictEqual(audio.musicTimer, null);
+
+  // A paused game stays quiet when the audio is unlocked
+  events.emit({ type: 'pause' });
+  audio.unlock();
+  assert.strictEqual(audio.musicTimer, null);
+
+  events.emit({ type: 'resume' });
+  assert.ok(audio.musicTimer);
+
+  events.emit({ type: 'levelend' });
+  assert.strictEqual(audio.tune, null);
+  assert.strictEqual(audio.musicTimer, null);
+});
@@ -0,0 +1,84 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+// benchmark.js is a browser script, which finds the game's classes as
+// globals
+const { Level, State, TICK_RATE } = require('../core');
+Object.assign(globalThis, { State, TICK_RATE });
+const { benchmarkLevel } = require('../benchmark');
+const { HeadlessRunner, loadDisplays } = require('../headless');
+
+const PLAN = `
+..........
+..@....o..
+##########`;
+
+test('the benchmark times every frame', () => {
+  // A clock that moves one millisecond every time it's read, and another
+  // one for every state drawn
+  let clock = 0;
+  let drawn = [];
+  let result = benchmarkLevel(new Level(PLAN), {
+    frames: 10,
+    now: () => clock++,
+    draw: state => { drawn.push(state); clock++; },
+  });
+
+  assert.deepStrictEqual(result, { frames: 10, mean: 2, median: 2, max: 2 });
+  assert.strictEqual(drawn.length, 10);
+});
+
+test('the benchmark starts the level over when it ends', () => {
+  let statuses = new Set();
+  benchmarkLevel(new Level(PLAN), {
+    frames: 300,
+    draw: state => statuses.add(state.status),
+  });
+
+  assert.deepStrictEqual([...statuses], ['playing']);
+});
+
+test('the headless runner benchmarks the displays by drawing every frame', () => {
+  let run = new HeadlessRunner(PLAN);
+
+  let simulation = run.benchmark({ frames: 60 });
+  assert.strictEqual(simulation.drawCalls, 0);
+
+  // The canvas display draws its tiles in chunks, which takes fewer calls
+  // than drawing them one by one
+  let cached = run.benchmark({ frames: 60, display: 'canvas' });
+  let uncached = run.benchmark({ frames: 60, display: 'canvas', cacheBackground: false });
+  assert.ok(cached.drawCalls > 0);
+  assert.ok(cached.drawCalls < uncached.drawCalls);
+
+  // The DOM display creates the elements of the player and the coin in the
+  // first frame, and reuses them after that, even when the level starts over
+  let dom = run.benchmark({ frames: 60, display: 'dom' });
+  assert.strictEqual(dom.elements * dom.frames, 2);
+});
+
+test('the DOM display keeps the elements of actors when others are removed', () => {
+  let { Level, State, DOMDisplay, document } = loadDisplays();
+  let level = new Level(`
+........
+..@o..o.
+########`);
+  let display = new DOMDisplay(document.body, level);
+  let state = State.start(level);
+  display.syncState(state);
+
+  let [first, second] = state.actors.filter(actor => actor.type === 'coin');
+  let element = display.actorElements.get(`id:${second.id}`);
+  assert.ok(element);
+
+  // Walk right until the first coin is collected
+  while (state.actors.some(actor => actor.id === first.id)) {
+    state = state.update(1 / TICK_RATE, { right: true });
+  }
+  display.syncState(state);
+
+  let coin = state.actors.find(actor => actor.type === 'coin');
+  assert.strictEqual(coin.id, second.id);
+  assert.strictEqual(display.actorElements.get(`id:${coin.id}`), element);
+  assert.ok(!display.actorElements.has(`id:${first.id}`));
+});
@@ -0,0 +1,72 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { State, Replay, Vec } = require('../core');
+const { HeadlessRunner } = require('../headless');
+
+const PLAN = `
+............
+............
+o.@..C.o..Co
+############`;
+
+// Collects the coin on the left, then walks through the first checkpoint
+function reachCheckpoint() {
+  let run = new HeadlessRunner(PLAN);
+  run.hold(0.5, ['left']);
+  run.hold(0.8, ['right']);
+  return run;
+}
+
+test('there is no checkpoint until one is touched', () => {
+  let run = new HeadlessRunner(PLAN);
+  run.hold(0.5, ['left']);
+
+  assert.strictEqual(run.state.checkpoint, null);
+});
+
+test('touching a checkpoint saves the coins left and the points', () => {
+  let run = reachCheckpoint();
+
+  assert.deepStrictEqual(run.state.checkpoint, {
+    x: 5, y: 2, coins: [[7, 2], [11, 2]], coinPoints: 100, stompPoints: 0,
+  });
+});
+
+test('the player respawns at the checkpoint with collected coins gone', () => {
+  let { level, state } = reachCheckpoint();
+  let respawned = State.respawn(level, state.checkpoint);
+
+  assert.deepStrictEqual(respawned.player.pos, new Vec(5, 1.5));
+  assert.strictEqual(respawned.coinsLeft, 2);
+  assert.strictEqual(respawned.score.points, 100);
+  assert.strictEqual(respawned.status, 'playing');
+  assert.deepStrictEqual(respawned.checkpoint, state.checkpoint);
+});
+
+test('only the last checkpoint touched is active', () => {
+  let run = reachCheckpoint();
+  run.hold(0.8, ['right']);
+
+  let active = run.actors('checkpoint').filter(checkpoint => checkpoint.active);
+  assert.strictEqual(active.length, 1);
+  assert.deepStrictEqual(run.state.checkpoint.coins, [[11, 2]]);
+  assert.strictEqual(run.state.checkpoint.x, 10);
+});
+
+test('replays that start from a checkpoint play back the same', () => {
+  let { level, state } = reachCheckpoint();
+  let replay = Replay.forLevel(level, state.checkpoint);
+
+  let run = new HeadlessRunner(level);
+  run.state = replay.start(level);
+  for (let i = 0; i < 60; i++) {
+    let keys = { right: true };
+    replay.record(run.step, keys);
+    run.tick(['right']);
+  }
+
+  let simulated = Replay.fromJSON(JSON.stringify(replay)).simulate();
+  assert.deepStrictEqual(simulated.player.pos, run.player.pos);
+  assert.strictEqual(simulated.coinsLeft, 1);
+});
@@ -0,0 +1,65 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { PlanEditor, parsePlanText } = require('../editor');
+
+const PLAN = `
+......
+.@..o.
+######
+`;
+
+test('an unchanged plan is exported exactly as it was loaded', () => {
+  assert.strictEqual(new PlanEditor(PLAN).toPlan(), PLAN);
+});
+
+test('painting changes a square and can be undone and redone', () => {
+  let editor = new PlanEditor(PLAN);
+  editor.paint(2, 0, '#');
+  assert.strictEqual(editor.get(2, 0), '#');
+
+  assert.ok(editor.undo());
+  assert.strictEqual(editor.toPlan(), PLAN);
+
+  assert.ok(editor.redo());
+  assert.strictEqual(editor.get(2, 0), '#');
+});
+
+test('a stroke is undone as a single step', () => {
+  let editor = new PlanEditor(PLAN);
+  editor.beginStroke();
+  for (let x = 0; x < 6; x++) editor.paint(x, 0, '+');
+  editor.endStroke();
+
+  editor.undo();
+  assert.strictEqual(editor.toPlan(), PLAN);
+  assert.strictEqual(editor.undo(), false);
+});
+
+test('painting after undoing clears the redo history', () => {
+  let editor = new PlanEditor(PLAN);
+  editor.paint(0, 0, '#');
+  editor.undo();
+  editor.paint(1, 0, '#');
+  assert.strictEqual(editor.redo(), false);
+});
+
+test('placing a unique character moves it', () => {
+  let editor = new PlanEditor(PLAN, { unique: ['@'] });
+  editor.paint(3, 0, '@');
+
+  assert.strictEqual(editor.get(3, 0), '@');
+  assert.strictEqual(editor.get(1, 1), '.');
+
+  editor.undo();
+  assert.strictEqual(editor.toPlan(), PLAN);
+});
+
+test('painting outside of the grid does nothing', () => {
+  let editor = new PlanEditor(PLAN);
+  assert.strictEqual(editor.paint(10, 10, '#'), false);
+});
+
+test('plans copied from levels.js can be loaded', () => {
+  assert.strictEqual(parsePlanText('`' + PLAN + '`,').trim(), PLAN.trim());
+});
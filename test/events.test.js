@@ -0,0 +1,87 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { GameEvents } = require('../core');
+const { HeadlessRunner } = require('../headless');
+
+// Runs a step at a time and collects the types of the events of every step
+function eventsOf(run, seconds, actions = []) {
+  let types = [];
+  for (let i = 0; i < Math.round(seconds / run.step); i++) {
+    run.tick(actions);
+    types.push(...run.state.events.map(event => event.type));
+  }
+  return types;
+}
+
+test('subscribers get the events of their type', () => {
+  let events = new GameEvents();
+  let seen = [];
+  let off = events.on('jumped', event => seen.push(event.type));
+  events.on('*', event => seen.push(`any ${event.type}`));
+
+  events.emit({ type: 'jumped' });
+  events.emit({ type: 'won' });
+  off();
+  events.emit({ type: 'jumped' });
+
+  assert.deepStrictEqual(seen, ['jumped', 'any jumped', 'any won', 'any jumped']);
+});
+
+test('jumping, landing and collecting coins are events', () => {
+  let run = new HeadlessRunner(`
+..........
+..........
+..@.o...o.
+##########`);
+  run.hold(0.5);
+
+  assert.deepStrictEqual(eventsOf(run, 0.1, ['jump']), ['jumped']);
+  assert.deepStrictEqual(eventsOf(run, 1), ['landed']);
+  assert.deepStrictEqual(eventsOf(run, 1, ['right']), ['collected', 'collected', 'won']);
+});
+
+test('the events of a state are only those of its step', () => {
+  let run = new HeadlessRunner(`
+..........
+..@.o...o.
+##########`);
+  run.hold(0.5);
+  while (run.state.coinsLeft === 2) run.tick(['right']);
+  assert.deepStrictEqual(run.state.events.map(event => event.type), ['collected']);
+
+  run.tick(['right']);
+  assert.deepStrictEqual(run.state.events, []);
+});
+
+test('a stomped monster is an event', () => {
+  let run = new HeadlessRunner(`
+.........o
+....@.....
+..........
+..........
+..........
+....W.....
+##########`);
+  let events = eventsOf(run, 1);
+
+  assert.ok(events.includes('killed'));
+  assert.strictEqual(run.state.status, 'playing');
+});
+
+test('dying is an event with its cause', () => {
+  let run = new HeadlessRunner(`
+.........o
+..........
+..@.......
+###+######`);
+  run.hold(0.5);
+
+  let died = null;
+  for (let i = 0; i < 120 && !died; i++) {
+    run.tick(['right']);
+    died = run.state.events.find(event => event.type === 'died');
+  }
+  assert.strictEqual(died.cause, 'lava');
+  assert.strictEqual(run.state.status, 'lost');
+});
@@ -0,0 +1,116 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { Level, convertPlan, validatePlan } = require('../core');
+const { GAME_LEVELS } = require('../levels');
+const { HeadlessRunner } = require('../headless');
+
+const PLAN = `
+#......#
+#.=....#
+#......#
+#.@..o.#
+########`;
+
+function structured(fields) {
+  return { ...convertPlan(PLAN), ...fields };
+}
+
+test('converted levels build the same level as their plan', () => {
+  for (let plan of GAME_LEVELS) {
+    let level = new Level(convertPlan(plan), 1);
+    let original = new Level(plan, 1);
+
+    assert.deepStrictEqual(level.rows, original.rows);
+    assert.deepStrictEqual(level.startActors, original.startActors);
+  }
+});
+
+test('the grid can be given as a single string', () => {
+  let level = new Level(structured({ grid: PLAN }), 1);
+  assert.deepStrictEqual(level.rows, new Level(PLAN, 1).rows);
+});
+
+test('metadata is available on the level', () => {
+  let level = new Level(structured({ meta: { name: 'Test', parTime: 10 } }));
+  assert.strictEqual(level.meta.name, 'Test');
+  assert.strictEqual(level.meta.parTime, 10);
+  assert.strictEqual(level.meta.gravity, null);
+});
+
+test('actor properties change the speed of lava', () => {
+  let level = new Level(structured({ actors: [{ x: 2, y: 1, speed: 5 }] }));
+  let lava = level.startActors.find(actor => actor.type === 'lava');
+  assert.strictEqual(lava.speed.x, 5);
+});
+
+test('a level can override gravity', () => {
+  let normal = new HeadlessRunner(structured({}));
+  let light = new HeadlessRunner(structured({ meta: { gravity: 10 } }));
+
+  // Both jump from the floor, but the lighter gravity slows the jump less
+  normal.hold(0.3, ['jump']);
+  light.hold(0.3, ['jump']);
+  assert.ok(light.player.pos.y < normal.player.pos.y);
+});
+
+test('a level can override the physics', () => {
+  let normal = new HeadlessRunner(structured({}));
+  let slow = new HeadlessRunner(structured({ meta: { physics: { runSpeed: 2 } } }));
+
+  normal.hold(0.3, ['right']);
+  slow.hold(0.3, ['right']);
+  assert.strictEqual(slow.player.speed.x, 2);
+  assert.ok(slow.player.pos.x < normal.player.pos.x);
+});
+
+test('triggers win or lose the level', () => {
+  let exit = new HeadlessRunner(structured({
+    triggers: [{ x: 4, y: 2, width: 1, height: 2, action: 'win' }],
+  }));
+  exit.hold(1, ['right']);
+  assert.strictEqual(exit.state.status, 'won');
+
+  let pit = new HeadlessRunner(structured({
+    triggers: [{ x: 1, y: 3, width: 6, height: 1, action: 'lose' }],
+  }));
+  pit.hold(0.5);
+  assert.strictEqual(pit.state.status, 'lost');
+});
+
+test('broken structured levels are reported', () => {
+  let messages = plan => validatePlan(plan).map(e => e.message);
+
+  assert.deepStrictEqual(messages({ grid: PLAN }),
+                         ['not a platform-level level of version 1']);
+  assert.deepStrictEqual(messages(structured({ meta: { gravity: 'low' } })),
+                         ['the setting "gravity" should be a number']);
+  assert.deepStrictEqual(messages(structured({ meta: { physics: { float: 1, jumpSpeed: 'high' } } })),
+                         ['unknown physics setting "float"',
+                          'the physics setting "jumpSpeed" should be a number']);
+  assert.deepStrictEqual(messages(structured({ actors: [{ x: 1, y: 1, speed: 2 }] })),
+                         ['actor properties are given, but there is no actor here']);
+  assert.deepStrictEqual(messages(structured({ actors: [{ x: 2, y: 1, color: 'red' }] })),
+                         ['unknown property "color" for Lava']);
+  for (let speed of [0, -2, '3']) {
+    assert.deepStrictEqual(messages(structured({ actors: [{ x: 2, y: 1, speed }] })),
+                           ['the property "speed" should be a positive number']);
+  }
+  assert.deepStrictEqual(messages(structured({ triggers: [{ x: 0, y: 0, action: 'fly' }] })),
+                         ['trigger 1 has an unknown action "fly"']);
+
+  // Shapes that would otherwise break the checks themselves
+  assert.deepStrictEqual(messages(structured({ meta: null })), ['meta should be an object']);
+  assert.deepStrictEqual(messages(structured({ actors: {} })), ['actors should be a list']);
+  assert.deepStrictEqual(messages(structured({ triggers: {} })), ['triggers should be a list']);
+  assert.deepStrictEqual(messages(structured({ actors: [null] })), ['actor 1 should be an object']);
+  assert.deepStrictEqual(messages(structured({ triggers: [null] })), ['trigger 1 should be an object']);
+  assert.deepStrictEqual(messages(structured({ actors: [{ speed: 2 }] })),
+                         ['actor 1 needs an x and y position']);
+  assert.deepStrictEqual(messages(structured({ actors: [{ x: '2', y: 1 }] })),
+                         ['actor 1 needs an x and y position']);
+  assert.deepStrictEqual(messages(structured({ triggers: [{ x: 0, y: 0, width: 'big', height: 2, action: 'win' }] })),
+                         ['the width of trigger 1 should be a number']);
+  assert.deepStrictEqual(messages(structured({ triggers: [{ x: 0, y: 0, height: null, action: 'win' }] })),
+                         ['the height of trigger 1 should be a number']);
+});
@@ -0,0 +1,143 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const core = require('../core');
+const storage = require('../storage');
+const { GameEvents } = core;
+const { MemoryStorage, SaveData } = storage;
+
+// game.js is a browser script, which finds the rest of the game as globals
+Object.assign(globalThis, core, storage);
+const { SETTINGS, GAME_PHASES, START_LIVES, runGame } = require('../game');
+
+const PLAN = `
+......
+.@..o.
+######`;
+
+// Plays a game of `levels` levels in which the levels end with the given
+// statuses, one after another. The screens are answered from `choices`
+// (by phase). Resolves to the summary, with the screens shown and the HUD
+// every level was started with.
+async function play({ levels = 2, statuses, choices = {}, options = {} }) {
+  let results = [...statuses];
+  let screens = [];
+  let huds = [];
+  let clock = 0;
+
+  let summary = await runGame(Array(levels).fill(PLAN), null, {
+    runLevel: async (level, Display, hud) => {
+      huds.push(hud);
+      clock += 1000;
+      let status = results.shift();
+      assert.ok(status, 'no more levels were expected');
+      return { status, time: 1, replay: `replay ${huds.length}`, score: status === 'won' ? 100 : 0,
+               checkpoint: null };
+    },
+    showScreen: async (phase, info) => {
+      screens.push({ phase, lives: info.lives });
+      let choice = choices[phase];
+      return Array.isArray(choice) ? choice.shift() : choice;
+    },
+    selectLevel: async () => 0,
+    showSettings: async () => {},
+    now: () => clock,
+    save: new SaveData(new MemoryStorage()),
+    ...options,
+  });
+
+  assert.deepStrictEqual(results, [], 'every level should have been played');
+  return { summary, screens, huds };
+}
+
+test('a game without deaths goes through every level', async () => {
+  let events = [];
+  let bus = new GameEvents();
+  bus.on('*', event => events.push(event.type));
+
+  let { summary, screens, huds } = await play({
+    statuses: ['won', 'won'],
+    options: { events: bus },
+  });
+
+  assert.deepStrictEqual(screens.map(screen => screen.phase),
+                         [GAME_PHASES.title, GAME_PHASES.gameComplete]);
+  assert.deepStrictEqual(huds.map(hud => [hud.level, hud.lives, hud.totalScore]),
+                         [[1, START_LIVES, 0], [2, START_LIVES, 100]]);
+  assert.deepStrictEqual(events, ['gamecomplete']);
+  assert.deepStrictEqual(summary, {
+    levelsCleared: 2, deaths: 0, continues: 0, time: 2, score: 200, completed: true,
+    replay: 'replay 2',
+  });
+});
+
+test('every death costs a life until the game is over', async () => {
+  let { summary, screens, huds } = await play({
+    statuses: ['won', 'lost', 'lost', 'lost'],
+    choices: { gameOver: 'quit' },
+  });
+
+  assert.deepStrictEqual(huds.map(hud => hud.lives), [3, 3, 2, 1]);
+  assert.deepStrictEqual(screens.at(-1), { phase: GAME_PHASES.gameOver, lives: 0 });
+  assert.strictEqual(summary.levelsCleared, 1);
+  assert.strictEqual(summary.deaths, 3);
+  assert.strictEqual(summary.completed, false);
+  assert.strictEqual(summary.time, 4);
+});
+
+test('continuing after a game over keeps the level and the deaths', async () => {
+  let { summary, huds } = await play({
+    levels: 1,
+    statuses: ['lost', 'lost', 'won'],
+    choices: { gameOver: 'continue' },
+    options: { lives: 2 },
+  });
+
+  assert.deepStrictEqual(huds.map(hud => [hud.level, hud.lives]), [[1, 2], [1, 1], [1, 2]]);
+  assert.strictEqual(summary.continues, 1);
+  assert.strictEqual(summary.deaths, 2);
+  assert.strictEqual(summary.completed, true);
+});
+
+test('restarting after a game over starts a new run from level 1', async () => {
+  let { summary, huds } = await play({
+    statuses: ['won', 'lost', 'won', 'won'],
+    choices: { gameOver: 'restart' },
+    options: { lives: 1 },
+  });
+
+  assert.deepStrictEqual(huds.map(hud => hud.level), [1, 2, 1, 2]);
+  assert.deepStrictEqual([summary.levelsCleared, summary.deaths, summary.continues, summary.completed],
+                         [2, 0, 0, true]);
+  // The time of the new run only
+  assert.strictEqual(summary.time, 2);
+});
+
+test('quitting a level goes back to the title screen', async () => {
+  let { summary, screens, huds } = await play({
+    statuses: ['lost', 'quit', 'won', 'won'],
+  });
+
+  assert.deepStrictEqual(screens.map(screen => screen.phase),
+                         [GAME_PHASES.title, GAME_PHASES.title, GAME_PHASES.gameComplete]);
+  assert.deepStrictEqual(huds.map(hud => hud.lives), [3, 2, 3, 3]);
+  assert.strictEqual(summary.deaths, 0);
+});
+
+test('restarting a level only costs a life when the settings say so', async () => {
+  let free = await play({
+    levels: 1,
+    statuses: ['restart', 'restart', 'won'],
+    options: { settings: { ...SETTINGS, restartCostsLife: false } },
+  });
+  assert.deepStrictEqual(free.huds.map(hud => hud.lives), [3, 3, 3]);
+  assert.strictEqual(free.summary.deaths, 0);
+
+  let costly = await play({
+    levels: 1,
+    statuses: ['restart', 'restart', 'won'],
+    options: { settings: { ...SETTINGS, restartCostsLife: true } },
+  });
+  assert.deepStrictEqual(costly.huds.map(hud => hud.lives), [3, 2, 1]);
+  assert.strictEqual(costly.summary.deaths, 2);
+});
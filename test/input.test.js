@@ -0,0 +1,51 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const {
+  ACTIONS, DEFAULT_BINDINGS, keyName, keyLabel, readBindings, rebind, gamepadActions,
+  gamepadMenuMoves,
+} = require('../input');
+
+test('letters are bound the same with and without shift', () => {
+  assert.strictEqual(keyName({ key: 'W' }), 'w');
+  assert.strictEqual(keyName({ key: 'ArrowUp' }), 'ArrowUp');
+  assert.strictEqual(keyLabel(' '), 'Space');
+  assert.strictEqual(keyLabel('w'), 'W');
+});
+
+test('saved bindings fall back to the defaults where they are broken', () => {
+  assert.deepStrictEqual(readBindings(null), DEFAULT_BINDINGS);
+
+  let bindings = readBindings({ jump: ['k'], left: 'a', extra: ['x'] });
+  assert.deepStrictEqual(bindings.jump, ['k']);
+  assert.deepStrictEqual(bindings.left, DEFAULT_BINDINGS.left);
+  assert.deepStrictEqual(Object.keys(bindings), ACTIONS);
+});
+
+test('binding a key takes it away from other actions', () => {
+  let bindings = rebind(DEFAULT_BINDINGS, 'jump', 'a');
+
+  assert.deepStrictEqual(bindings.jump, ['a']);
+  assert.deepStrictEqual(bindings.left, ['ArrowLeft']);
+  assert.deepStrictEqual(DEFAULT_BINDINGS.left, ['ArrowLeft', 'a'], 'the defaults are unchanged');
+});
+
+test('gamepad buttons and sticks are read as actions', () => {
+  let button = pressed => ({ pressed });
+  let buttons = Array.from({ length: 16 }, () => button(false));
+  buttons[0] = button(true);
+
+  let held = gamepadActions([null, { buttons, axes: [-0.9, 0.7] }]);
+  assert.deepStrictEqual({ ...held }, { jump: true, left: true, down: true });
+
+  let resting = gamepadActions([{ buttons: [], axes: [0.2, -0.3] }]);
+  assert.deepStrictEqual({ ...resting }, {});
+});
+
+test('gamepads move through menus whatever the bindings', () => {
+  let buttons = Array.from({ length: 16 }, () => ({ pressed: false }));
+  buttons[0] = { pressed: true };
+
+  let held = gamepadMenuMoves([{ buttons, axes: [0, -0.8] }]);
+  assert.deepStrictEqual({ ...held }, { select: true, up: true });
+});
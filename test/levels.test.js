@@ -0,0 +1,68 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { Level, LevelError, validatePlan } = require('../core');
+const { GAME_LEVELS } = require('../levels');
+
+test('every level in GAME_LEVELS is valid', () => {
+  GAME_LEVELS.forEach((plan, i) => {
+    assert.deepStrictEqual(validatePlan(plan), [], `level ${i + 1}`);
+  });
+});
+
+test('unknown characters are reported with their line and column', () => {
+  let errors = validatePlan(`
+.....
+.@.x.
+##o##`);
+  assert.deepStrictEqual(errors, [{ line: 2, column: 4, message: 'unknown character "x"' }]);
+});
+
+test('rows of different lengths are reported', () => {
+  let errors = validatePlan(`
+.....
+.@.o
+#####`);
+  assert.strictEqual(errors.length, 1);
+  assert.strictEqual(errors[0].line, 2);
+});
+
+test('a missing player is reported', () => {
+  let messages = validatePlan(`
+..o..
+#####`).map(e => e.message);
+  assert.deepStrictEqual(messages, ['the plan has no player (@)']);
+});
+
+test('more than one player is reported', () => {
+  let errors = validatePlan(`
+.....
+.@o@.
+#####`);
+  assert.deepStrictEqual(errors, [{ line: 2, column: 4, message: 'there is more than one player (@)' }]);
+});
+
+test('a plan without coins is reported', () => {
+  let messages = validatePlan(`
+.....
+.@...
+#####`).map(e => e.message);
+  assert.deepStrictEqual(messages, ['the plan has no coins, so the level can never be won']);
+});
+
+test('a player starting inside a wall is reported', () => {
+  let errors = validatePlan(`
+.#...
+.@.o.
+#####`);
+  assert.deepStrictEqual(errors, [{ line: 2, column: 2, message: 'the player starts inside a wall' }]);
+});
+
+test('the Level constructor throws a LevelError for a broken plan', () => {
+  assert.throws(() => new Level(`
+.....
+.@.x.
+#####`), error => error instanceof LevelError &&
+                  error.errors.length === 2 &&
+                  /line 2, column 4: unknown character "x"/.test(error.message));
+});
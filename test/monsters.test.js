@@ -0,0 +1,155 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { MONSTER_SPEED, MONSTER_CHASE_SPEED, convertPlan } = require('../core');
+const { HeadlessRunner } = require('../headless');
+
+function monster(run) {
+  return run.actors('monster')[0];
+}
+
+// Tracks the leftmost and rightmost position of the monster over some time
+function range(run, seconds) {
+  let min = Infinity, max = -Infinity;
+  for (let t = 0; t < seconds; t += run.step) {
+    run.tick();
+    min = Math.min(min, monster(run).pos.x);
+    max = Math.max(max, monster(run).pos.x);
+  }
+  return { min, max };
+}
+
+test('patrolling monsters turn around at walls', () => {
+  let run = new HeadlessRunner(`
+...................o
+@...................
+....................
+....#.....W...#.....
+####################`);
+  let { min, max } = range(run, 6);
+  assert.ok(min >= 5 && min < 5.2, `walks up to the left wall (${min})`);
+  assert.ok(max + 1.2 <= 14 && max + 1.2 > 13.8, `walks up to the right wall (${max})`);
+});
+
+test('patrolling monsters walk off ledges and fall', () => {
+  let run = new HeadlessRunner(`
+...................o
+@...................
+....................
+..........W.........
+......#######.......
+....................
+####################`);
+  run.hold(3);
+  assert.strictEqual(monster(run).pos.y + monster(run).size.y, 6);
+});
+
+test('ledge monsters turn around at ledges', () => {
+  let run = new HeadlessRunner(`
+...................o
+@...................
+....................
+..........E.........
+......#######.......
+....................
+####################`);
+  let { min, max } = range(run, 6);
+  assert.ok(min >= 5.9 && max + 1.2 <= 13.1, `stays on the platform (${min} - ${max})`);
+  assert.strictEqual(monster(run).pos.y + monster(run).size.y, 4);
+});
+
+test('chasing monsters run toward the player they see', () => {
+  let run = new HeadlessRunner(`
+...................o
+....................
+....................
+...@......M.........
+####################`);
+  let start = monster(run).pos.x;
+  run.hold(0.5);
+  assert.ok(monster(run).pos.x < start - 1.5, 'runs left, toward the player');
+});
+
+test('chasing monsters patrol when the player is out of sight', () => {
+  let run = new HeadlessRunner(`
+.............................o
+..............................
+..............................
+.@.................M..........
+##############################`);
+  let start = monster(run).pos.x;
+  run.hold(0.5);
+  assert.ok(monster(run).pos.x > start, 'keeps walking right');
+  assert.ok(monster(run).pos.x < start + 1.5, 'at walking speed');
+
+  // The player runs toward the monster until it gives chase, then runs back
+  // out of its sight
+  while (Math.abs(monster(run).speed.x) <= MONSTER_SPEED) run.tick(['right']);
+  assert.strictEqual(monster(run).speed.x, -MONSTER_CHASE_SPEED, 'chases the player');
+
+  while (monster(run).sees(run.player)) run.tick(['left']);
+  run.tick(['left']);
+  assert.strictEqual(Math.abs(monster(run).speed.x), MONSTER_SPEED, 'back at walking speed');
+});
+
+test('jumping monsters keep hopping', () => {
+  let run = new HeadlessRunner(`
+...................o
+@...................
+....................
+....................
+....................
+....#.....J...#.....
+####################`);
+  let highest = Infinity;
+  for (let i = 0; i < 240; i++) {
+    run.tick();
+    highest = Math.min(highest, monster(run).pos.y);
+  }
+  assert.ok(highest < 3, `leaves the ground (${highest})`);
+});
+
+test('monsters walk on one-way platforms', () => {
+  let run = new HeadlessRunner(`
+...................o
+@...................
+....................
+..........W.........
+......-------.......
+....................
+####################`);
+  run.hold(1);
+  assert.strictEqual(monster(run).pos.y + monster(run).size.y, 4, 'stands on the platform');
+
+  // A patrolling monster still walks off the end of the platform
+  run.hold(3);
+  assert.strictEqual(monster(run).pos.y + monster(run).size.y, 6);
+});
+
+test('ledge monsters turn around at the ends of one-way platforms', () => {
+  let run = new HeadlessRunner(`
+...................o
+@...................
+....................
+..........E.........
+......-------.......
+....................
+####################`);
+  let { min, max } = range(run, 6);
+  assert.ok(min >= 5.9 && max + 1.2 <= 13.1, `stays on the platform (${min} - ${max})`);
+});
+
+test('monsters with a speed of 0 stand still', () => {
+  let run = new HeadlessRunner({
+    ...convertPlan(`
+...................o
+@...................
+....................
+..........W.........
+####################`),
+    actors: [{ x: 10, y: 3, speed: 0 }],
+  });
+  let start = monster(run).pos.x;
+  run.hold(1);
+  assert.strictEqual(monster(run).pos.x, start);
+});
@@ -0,0 +1,45 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { validatePack, formatPackError, packId } = require('../core');
+
+const LEVEL = `
+......
+.@..o.
+######`;
+
+function pack(fields) {
+  return { format: 'platform-pack', version: 1, title: 'Test', author: 'Me', levels: [LEVEL], ...fields };
+}
+
+test('a valid pack has no errors', () => {
+  assert.deepStrictEqual(validatePack(pack({})), []);
+});
+
+test('the example pack is valid', () => {
+  let example = require('../packs/example.json');
+  let levels = example.levels.map(level => level.file ? require(`../packs/${level.file}`) : level);
+  assert.deepStrictEqual(validatePack({ ...example, levels }), []);
+});
+
+test('packs of another format are rejected', () => {
+  assert.deepStrictEqual(validatePack({ levels: [LEVEL] }).map(e => e.message),
+                         ['not a platform-pack pack of version 1']);
+});
+
+test('a pack needs a title and levels', () => {
+  assert.deepStrictEqual(validatePack(pack({ title: '', levels: [] })).map(e => e.message),
+                         ['the pack has no title', 'the pack has no levels']);
+});
+
+test('errors in levels name the level', () => {
+  let errors = validatePack(pack({ levels: [LEVEL, LEVEL.replace('o', 'x')] }));
+  assert.deepStrictEqual(errors.map(formatPackError),
+                         ['level 2, line 2, column 5: unknown character "x"',
+                          'level 2: the plan has no coins, so the level can never be won']);
+});
+
+test('packs are saved under their id, or their title without one', () => {
+  assert.strictEqual(packId(pack({ id: 'caves' })), 'caves');
+  assert.strictEqual(packId(pack({})), 'Test');
+});
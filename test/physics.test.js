@@ -0,0 +1,143 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { JUMP_SPEED, GRAVITY, PLAYER_X_SPEED, PHYSICS } = require('../core');
+const { HeadlessRunner } = require('../headless');
+
+const ROOM = `
+o.........
+..........
+..........
+..........
+..........
+..........
+..........
+....@....#
+.........#
+##########`;
+
+test('the player falls and lands on the floor', () => {
+  let run = new HeadlessRunner(ROOM);
+  run.hold(1);
+
+  let { pos, size, speed } = run.player;
+  assert.strictEqual(speed.y, 0);
+  assert.ok(pos.y + size.y <= 9, 'the player is not inside the floor');
+  assert.ok(pos.y + size.y > 8.8, 'the player stands on the floor');
+});
+
+test('walls block the player', () => {
+  let run = new HeadlessRunner(ROOM);
+  run.hold(2, ['right']);
+
+  let { pos, size } = run.player;
+  assert.ok(pos.x + size.x <= 9, 'the player is not inside the wall');
+  assert.ok(pos.x + size.x > 8.8, 'the player walked up to the wall');
+});
+
+test('the player jumps when standing on the floor', () => {
+  let run = new HeadlessRunner(ROOM);
+  run.hold(1);
+  let floorY = run.player.pos.y;
+
+  let highest = floorY;
+  for (let i = 0; i < 120; i++) {
+    run.tick(['jump']);
+    highest = Math.min(highest, run.player.pos.y);
+  }
+
+  let expected = JUMP_SPEED ** 2 / (2 * GRAVITY);
+  assert.ok(Math.abs(floorY - highest - expected) < 0.3,
+            `jump height ${floorY - highest} is close to ${expected}`);
+});
+
+test('the player cannot jump in the air', () => {
+  let run = new HeadlessRunner(ROOM);
+  run.tick(['jump']);
+  assert.ok(run.player.speed.y > 0);
+});
+
+test('the player speeds up and slows down', () => {
+  let run = new HeadlessRunner(ROOM);
+  run.hold(1);
+
+  run.tick(['right']);
+  assert.ok(run.player.speed.x > 0 && run.player.speed.x < PLAYER_X_SPEED);
+
+  run.hold(PLAYER_X_SPEED / PHYSICS.acceleration, ['right']);
+  assert.strictEqual(run.player.speed.x, PLAYER_X_SPEED);
+
+  run.tick();
+  assert.ok(run.player.speed.x > 0 && run.player.speed.x < PLAYER_X_SPEED);
+
+  run.hold(PLAYER_X_SPEED / PHYSICS.deceleration);
+  assert.strictEqual(run.player.speed.x, 0);
+});
+
+test('letting go of the jump key early makes a lower jump', () => {
+  let jumpHeight = seconds => {
+    let run = new HeadlessRunner(ROOM);
+    run.hold(1);
+    let floorY = run.player.pos.y;
+    let highest = floorY;
+
+    for (let i = 0; i < 120; i++) {
+      run.tick(i < seconds * 120 ? ['jump'] : []);
+      highest = Math.min(highest, run.player.pos.y);
+    }
+    return floorY - highest;
+  };
+
+  assert.ok(jumpHeight(0.05) < jumpHeight(1) / 2);
+});
+
+const LEDGE = `
+o.........
+..........
+..........
+..........
+.@........
+####......
+..........
+##########`;
+
+// Walks right until the player has just left the ledge
+function walkOffLedge() {
+  let run = new HeadlessRunner(LEDGE);
+  run.hold(0.5);
+  while (run.player.pos.x < 4) run.tick(['right']);
+  return run;
+}
+
+test('the player can still jump just after walking off a ledge', () => {
+  let run = walkOffLedge();
+  run.tick(['jump']);
+  assert.strictEqual(run.player.speed.y, -JUMP_SPEED);
+
+  let late = walkOffLedge();
+  late.hold(PHYSICS.coyoteTime * 2);
+  late.tick(['jump']);
+  assert.ok(late.player.speed.y > 0, 'the player falls');
+});
+
+test('a jump pressed just before landing is done on landing', () => {
+  // The number of steps the player takes to land from its start position
+  let falling = new HeadlessRunner(ROOM);
+  let steps = 0;
+  do {
+    falling.tick();
+    steps++;
+  } while (falling.player.speed.y !== 0);
+
+  let jumpsAfterPressing = before => {
+    let run = new HeadlessRunner(ROOM);
+    for (let i = 0; i < steps + 5; i++) {
+      run.tick(i === steps - before ? ['jump'] : []);
+      if (run.player.speed.y < 0) return true;
+    }
+    return false;
+  };
+
+  assert.ok(jumpsAfterPressing(5), 'a press 5 steps before landing counts');
+  assert.ok(!jumpsAfterPressing(20), 'a press 20 steps before landing does not');
+});
@@ -0,0 +1,134 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { convertPlan, validatePlan } = require('../core');
+const { HeadlessRunner } = require('../headless');
+
+function platform(run) {
+  return run.actors('moving-platform')[0];
+}
+
+test('the player rides a horizontal platform', () => {
+  let run = new HeadlessRunner(`
+...........o
+............
+..@.........
+............
+..P.........
+............
+............
+############`);
+  run.hold(0.5);
+
+  let player = run.player.pos, start = platform(run).pos;
+  run.hold(1);
+
+  let moved = platform(run).pos.x - start.x;
+  assert.ok(moved > 1, 'the platform moved');
+  assert.ok(Math.abs(run.player.pos.x - player.x - moved) < 0.01, 'the player moved along');
+  assert.ok(Math.abs(run.player.pos.y + run.player.size.y - platform(run).pos.y) < 0.01,
+            'the player stands on the platform');
+});
+
+test('the player rides a vertical platform down and up', () => {
+  let run = new HeadlessRunner(`
+.........o
+..........
+..@.......
+..........
+..........
+..U.......
+..........
+..........
+##########`);
+  run.hold(0.5);
+
+  let wentUp = false;
+  for (let i = 0; i < 180; i++) {
+    run.tick();
+    let { pos, size } = run.player;
+    assert.ok(Math.abs(pos.y + size.y - platform(run).pos.y) < 0.01, 'the player stays on top');
+    if (platform(run).speed.y < 0) wentUp = true;
+  }
+  assert.ok(wentUp, 'the platform turned around at the floor');
+  assert.strictEqual(run.state.status, 'playing');
+});
+
+test('platforms block the player from the side', () => {
+  let run = new HeadlessRunner({
+    ...convertPlan(`
+...........o
+............
+............
+..@.....P...
+############`),
+    actors: [{ x: 8, y: 3, width: 1, path: [{ x: 8, y: 3 }] }],
+  });
+  run.hold(2, ['right']);
+
+  let { pos, size } = run.player;
+  assert.ok(pos.x + size.x <= 8, 'the player is not inside the platform');
+  assert.ok(pos.x + size.x > 7.8, 'the player walked up to the platform');
+});
+
+test('platforms follow their path and loop back to the start', () => {
+  let run = new HeadlessRunner({
+    ...convertPlan(`
+.........o
+.P........
+..........
+..........
+..........
+.........@
+##########`),
+    actors: [{ x: 1, y: 1, speed: 4, path: [{ x: 5, y: 1 }, { x: 5, y: 4 }] }],
+  });
+  let near = (pos, x, y) => Math.abs(pos.x - x) < 0.05 && Math.abs(pos.y - y) < 0.05;
+
+  run.hold(1);
+  assert.ok(near(platform(run).pos, 5, 1), 'the platform reached the first point');
+  run.hold(0.75);
+  assert.ok(near(platform(run).pos, 5, 4), 'the platform reached the second point');
+  run.hold(1.25);
+  assert.ok(near(platform(run).pos, 1, 1), 'the platform is back at the start');
+});
+
+test('a platform crushes the player against the floor', () => {
+  let run = new HeadlessRunner(`
+.........o
+..U.......
+..........
+..........
+..@.......
+##########`);
+  run.hold(3);
+  assert.strictEqual(run.state.status, 'lost');
+});
+
+test('platform paths must be lists of points', () => {
+  let errors = validatePlan({
+    ...convertPlan(`
+.P..o
+.@...
+#####`),
+    actors: [{ x: 1, y: 0, path: 'down' }],
+  });
+  assert.deepStrictEqual(errors, [{
+    line: 1, column: 2, message: 'the property "path" should be a list of {x, y} points',
+  }]);
+});
+
+test('platforms must have a positive width', () => {
+  for (let width of [0, -1]) {
+    let errors = validatePlan({
+      ...convertPlan(`
+.P..o
+.@...
+#####`),
+      actors: [{ x: 1, y: 0, width }],
+    });
+    assert.deepStrictEqual(errors, [{
+      line: 1, column: 2, message: 'the property "width" should be a positive number',
+    }]);
+  }
+});
@@ -0,0 +1,81 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const {
+  Level, State, Score, levelTally, parTime, formatTime, convertPlan,
+  COIN_POINTS, STOMP_POINTS, COMBO_TIME, MAX_COMBO,
+  TIME_BONUS_POINTS, NO_DEATH_BONUS, PAR_TIME_PER_COIN,
+} = require('../core');
+const { HeadlessRunner } = require('../headless');
+
+test('coins collected quickly build a combo', () => {
+  let score = Score.start().collectCoin().collectCoin().collectCoin();
+  assert.strictEqual(score.combo, 3);
+  assert.strictEqual(score.points, COIN_POINTS * (1 + 2 + 3));
+});
+
+test('the combo has a maximum', () => {
+  let score = Score.start();
+  for (let i = 0; i < MAX_COMBO + 2; i++) score = score.collectCoin();
+  assert.strictEqual(score.combo, MAX_COMBO);
+});
+
+test('the combo ends when no coin is collected in time', () => {
+  let score = Score.start().collectCoin().tick(COMBO_TIME / 2);
+  assert.strictEqual(score.combo, 1);
+
+  score = score.tick(COMBO_TIME);
+  assert.strictEqual(score.combo, 0);
+  assert.strictEqual(score.collectCoin().points, COIN_POINTS * 2);
+});
+
+test('stomps in a chain are worth more', () => {
+  let score = Score.start().stomp(1).stomp(2);
+  assert.strictEqual(score.points, STOMP_POINTS * 3);
+});
+
+test('collecting coins in a level scores points', () => {
+  let run = new HeadlessRunner(`
+...........
+.@.o.o.o...
+###########`);
+  run.hold(2, ['right']);
+
+  assert.strictEqual(run.state.status, 'won');
+  assert.strictEqual(run.state.score.coinPoints, COIN_POINTS * (1 + 2 + 3));
+});
+
+test('the tally adds a time bonus and a no-death bonus', () => {
+  let level = new Level(`
+.....
+.@.o.
+#####`);
+  let state = new State(level, [], 'won', Score.start().collectCoin());
+
+  assert.strictEqual(parTime(level), PAR_TIME_PER_COIN);
+
+  let fast = levelTally(state, { time: PAR_TIME_PER_COIN - 2.5, deaths: 0 });
+  assert.strictEqual(fast.timeBonus, 2 * TIME_BONUS_POINTS);
+  assert.strictEqual(fast.noDeathBonus, NO_DEATH_BONUS);
+  assert.strictEqual(fast.total, COIN_POINTS + 2 * TIME_BONUS_POINTS + NO_DEATH_BONUS);
+
+  let slow = levelTally(state, { time: 100, deaths: 1 });
+  assert.strictEqual(slow.total, COIN_POINTS);
+});
+
+test('structured levels can set their own par time', () => {
+  let level = new Level({ ...convertPlan(`
+.....
+.@.o.
+#####`), meta: { parTime: 42 } });
+  assert.strictEqual(parTime(level), 42);
+});
+
+test('times are shown in minutes, seconds and tenths', () => {
+  assert.strictEqual(formatTime(0), '0:00.0');
+  assert.strictEqual(formatTime(7.25), '0:07.3');
+  assert.strictEqual(formatTime(83.4), '1:23.4');
+  // Seconds that round up to a whole minute roll over
+  assert.strictEqual(formatTime(59.96), '1:00.0');
+  assert.strictEqual(formatTime(119.97), '2:00.0');
+});
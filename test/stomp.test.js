@@ -0,0 +1,77 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const {
+  Level, State, Vec, Player,
+  STOMP_SPEED, STOMP_CHAIN_BONUS, STOMP_INVULNERABLE_TIME, DEFEAT_TIME,
+} = require('../core');
+const { HeadlessRunner } = require('../headless');
+
+const PIT = `
+.........o
+....@.....
+..........
+..........
+..........
+....W.....
+##########`;
+
+// Runs until the monster has been stomped
+function stomp(run) {
+  while (run.actors('monster').length) run.tick();
+}
+
+test('stomping a monster bounces the player up', () => {
+  let run = new HeadlessRunner(PIT);
+  stomp(run);
+
+  assert.strictEqual(run.state.status, 'playing');
+  assert.strictEqual(run.player.speed.y, -STOMP_SPEED);
+  assert.strictEqual(run.player.stomps, 1);
+});
+
+test('a defeated monster is animated and then removed', () => {
+  let run = new HeadlessRunner(PIT);
+  stomp(run);
+  assert.strictEqual(run.actors('defeat').length, 1);
+
+  run.hold(DEFEAT_TIME + 0.05);
+  assert.strictEqual(run.actors('defeat').length, 0);
+});
+
+test('the player cannot be hurt by monsters just after a stomp', () => {
+  let run = new HeadlessRunner(PIT);
+  stomp(run);
+  assert.ok(run.player.invulnerable > 0);
+
+  run.hold(STOMP_INVULNERABLE_TIME + 0.05);
+  assert.strictEqual(run.player.invulnerable, 0);
+});
+
+test('chained stomps bounce higher and landing ends the chain', () => {
+  let level = new Level(PIT);
+  let monster = level.startActors.find(a => a.type === 'monster');
+  let player = new Player(monster.pos.plus(new Vec(0, -1.6)), new Vec(0, 5), 0, 1);
+  let state = new State(level, [player, monster], 'playing');
+
+  let bounced = monster.collide(state).player;
+  assert.strictEqual(bounced.stomps, 2);
+  assert.strictEqual(bounced.speed.y, -(STOMP_SPEED + STOMP_CHAIN_BONUS));
+
+  let run = new HeadlessRunner(PIT);
+  stomp(run);
+  run.hold(2);
+  assert.strictEqual(run.player.stomps, 0);
+});
+
+test('touching a monster from the side while invulnerable is harmless', () => {
+  let level = new Level(PIT);
+  let monster = level.startActors.find(a => a.type === 'monster');
+  let player = new Player(monster.pos, new Vec(0, 0), 0.2, 0);
+  let state = new State(level, [player, monster], 'playing');
+
+  assert.strictEqual(monster.collide(state).status, 'playing');
+
+  let hurt = new State(level, [new Player(monster.pos, new Vec(0, 0)), monster], 'playing');
+  assert.strictEqual(monster.collide(hurt).status, 'lost');
+});
@@ -0,0 +1,112 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const {
+  SAVE_VERSION, SAVE_KEY, MemoryStorage, SaveData, BINDINGS_KEY, loadBindings, saveBindings,
+  AUDIO_KEY, DEFAULT_AUDIO_SETTINGS, loadAudioSettings, saveAudioSettings,
+  GAME_SETTINGS_KEY, loadGameSettings, saveGameSettings,
+} = require('../storage');
+const { DEFAULT_BINDINGS, readBindings } = require('../input');
+
+// A storage that already holds `value` under `key`
+function storageWith(key, value) {
+  let storage = new MemoryStorage();
+  storage.setItem(key, typeof value === 'string' ? value : JSON.stringify(value));
+  return storage;
+}
+
+const EMPTY_SAVE = { version: SAVE_VERSION, unlocked: 1, levels: {} };
+
+test('a new save has only the first level unlocked', () => {
+  let save = new SaveData(new MemoryStorage());
+  assert.strictEqual(save.unlocked, 1);
+  assert.strictEqual(save.record(0), null);
+});
+
+test('saves of another version are reset', () => {
+  let storage = storageWith(SAVE_KEY, { version: SAVE_VERSION + 1, unlocked: 3, levels: {} });
+  let save = new SaveData(storage);
+  assert.deepStrictEqual(save.data, EMPTY_SAVE);
+  assert.deepStrictEqual(JSON.parse(storage.getItem(SAVE_KEY)), EMPTY_SAVE);
+});
+
+test('corrupt saves start over', () => {
+  let save = new SaveData(storageWith(SAVE_KEY, '{"version": 1, "unlo'));
+  assert.deepStrictEqual(save.data, EMPTY_SAVE);
+});
+
+test('saves with invalid records are reset', () => {
+  for (let levels of [{ 0: null }, { 0: { bestTime: '12', fewestDeaths: 0 } }, { 0: { bestTime: 12 } }]) {
+    let save = new SaveData(storageWith(SAVE_KEY, { version: SAVE_VERSION, unlocked: 2, levels }));
+    assert.deepStrictEqual(save.data, EMPTY_SAVE);
+  }
+  let save = new SaveData(storageWith(SAVE_KEY, { version: SAVE_VERSION, unlocked: 0, levels: {} }));
+  assert.deepStrictEqual(save.data, EMPTY_SAVE);
+});
+
+test('completed levels keep the best results and unlock the next level', () => {
+  let storage = new MemoryStorage();
+  let save = new SaveData(storage);
+
+  save.completeLevel(0, 30, 2);
+  assert.deepStrictEqual(save.record(0), { bestTime: 30, fewestDeaths: 2 });
+  assert.strictEqual(save.unlocked, 2);
+
+  // A faster run with more deaths only improves the time
+  save.completeLevel(0, 25, 4);
+  assert.deepStrictEqual(save.record(0), { bestTime: 25, fewestDeaths: 2 });
+  save.completeLevel(0, 40, 0);
+  assert.deepStrictEqual(save.record(0), { bestTime: 25, fewestDeaths: 0 });
+
+  // Playing an earlier level again doesn't lock the later ones
+  save.completeLevel(2, 50, 1);
+  assert.strictEqual(save.unlocked, 4);
+  save.completeLevel(0, 20, 0);
+  assert.strictEqual(save.unlocked, 4);
+
+  // Everything is written to the storage
+  let loaded = new SaveData(storage);
+  assert.strictEqual(loaded.unlocked, 4);
+  assert.deepStrictEqual(loaded.record(0), { bestTime: 20, fewestDeaths: 0 });
+});
+
+test('saves under another key are kept apart', () => {
+  let storage = new MemoryStorage();
+  new SaveData(storage, 'pack').completeLevel(0, 10, 0);
+  assert.strictEqual(new SaveData(storage).unlocked, 1);
+  assert.strictEqual(new SaveData(storage, 'pack').unlocked, 2);
+});
+
+test('missing or corrupt bindings fall back to the defaults', () => {
+  assert.strictEqual(loadBindings(new MemoryStorage()), null);
+  assert.strictEqual(loadBindings(storageWith(BINDINGS_KEY, '{left:')), null);
+  assert.deepStrictEqual(readBindings(loadBindings(storageWith(BINDINGS_KEY, '{left:'))),
+                         DEFAULT_BINDINGS);
+
+  let storage = new MemoryStorage();
+  saveBindings({ ...DEFAULT_BINDINGS, jump: ['x'] }, storage);
+  assert.deepStrictEqual(readBindings(loadBindings(storage)).jump, ['x']);
+});
+
+test('missing or broken audio settings fall back to the defaults', () => {
+  assert.deepStrictEqual(loadAudioSettings(new MemoryStorage()), DEFAULT_AUDIO_SETTINGS);
+  assert.deepStrictEqual(loadAudioSettings(storageWith(AUDIO_KEY, 'not json')), DEFAULT_AUDIO_SETTINGS);
+  assert.deepStrictEqual(loadAudioSettings(storageWith(AUDIO_KEY, { master: 2, music: 'loud', muted: 1 })),
+                         DEFAULT_AUDIO_SETTINGS);
+
+  let storage = new MemoryStorage();
+  saveAudioSettings({ ...DEFAULT_AUDIO_SETTINGS, music: 0, muted: true }, storage);
+  assert.deepStrictEqual(loadAudioSettings(storage), { ...DEFAULT_AUDIO_SETTINGS, music: 0, muted: true });
+});
+
+test('game settings keep their defaults unless a saved one has the same type', () => {
+  let defaults = { tickRate: 120, restartCostsLife: false };
+  assert.deepStrictEqual(loadGameSettings(defaults, new MemoryStorage()), defaults);
+  assert.deepStrictEqual(loadGameSettings(defaults, storageWith(GAME_SETTINGS_KEY, '{')), defaults);
+  assert.deepStrictEqual(loadGameSettings(defaults, storageWith(GAME_SETTINGS_KEY, { tickRate: '60', other: 1 })),
+                         defaults);
+
+  let storage = new MemoryStorage();
+  saveGameSettings({ tickRate: 60, restartCostsLife: true }, storage);
+  assert.deepStrictEqual(loadGameSettings(defaults, storage), { tickRate: 60, restartCostsLife: true });
+});
@@ -0,0 +1,39 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const { Level } = require('../core');
+const { DEFAULT_SHEETS, THEMES, levelTheme, themeSheetFiles, LAYER_SHAPES } = require('../themes');
+
+const PLAN = `
+.....
+.@..o
+#####`;
+
+test('levels without a known theme get the default one', () => {
+  assert.strictEqual(levelTheme(new Level(PLAN)), THEMES.default);
+  assert.strictEqual(levelTheme({ meta: { theme: 'moon' } }), THEMES.default);
+  assert.strictEqual(levelTheme({ meta: { theme: 'cave' } }), THEMES.cave);
+});
+
+test('themes swap some sprite sheets and keep the default ones for the rest', () => {
+  assert.deepStrictEqual(themeSheetFiles(THEMES.default), DEFAULT_SHEETS);
+  assert.deepStrictEqual(themeSheetFiles({ sheets: { tiles: 'tiles.png' } }),
+                         { ...DEFAULT_SHEETS, tiles: 'tiles.png' });
+
+  let cave = themeSheetFiles(THEMES.cave);
+  assert.strictEqual(cave.tiles, 'img/themes/cave/tiles.png');
+  assert.strictEqual(cave.player, DEFAULT_SHEETS.player);
+});
+
+test('every theme has its sheets and layer shapes', () => {
+  for (let [name, theme] of Object.entries(THEMES)) {
+    for (let file of Object.values(themeSheetFiles(theme))) {
+      assert.ok(fs.existsSync(path.join(__dirname, '..', file)), `${name}: ${file} exists`);
+    }
+    for (let layer of theme.layers) {
+      assert.ok(layer.shape in LAYER_SHAPES, `${name}: the ${layer.shape} shape exists`);
+    }
+  }
+});
@@ -0,0 +1,138 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { SPRING_SPEED } = require('../core');
+const { HeadlessRunner } = require('../headless');
+
+test('one-way platforms can be jumped through and stood on', () => {
+  let run = new HeadlessRunner(`
+.........o
+..........
+..........
+..---.....
+..........
+..@.......
+##########`);
+  run.hold(0.5);
+  assert.ok(run.player.pos.y > 4, 'the player starts below the platform');
+
+  run.hold(0.2, ['jump']);
+  run.hold(1.5);
+
+  let { pos, size, speed } = run.player;
+  assert.strictEqual(speed.y, 0);
+  assert.ok(Math.abs(pos.y + size.y - 3) < 0.2, 'the player stands on the platform');
+});
+
+test('the player slides on ice', () => {
+  let plan = `
+.........................o
+..........................
+..@.......................
+`;
+  let stopAfterRun = floor => {
+    let run = new HeadlessRunner(plan + floor.repeat(26));
+    run.hold(0.5);
+    run.hold(0.5, ['right']);
+    let x = run.player.pos.x;
+    run.hold(0.5);
+    return run.player.pos.x - x;
+  };
+
+  assert.ok(stopAfterRun('#') < 0.3, 'the player stops quickly on walls');
+  assert.ok(stopAfterRun('i') > 1, 'the player keeps sliding on ice');
+});
+
+test('springs launch the player', () => {
+  let run = new HeadlessRunner(`
+.........o
+..........
+..........
+..........
+..........
+..........
+..........
+..........
+..@.......
+..^.......
+##########`);
+  let launched = false;
+  for (let i = 0; i < 120; i++) {
+    run.tick();
+    if (run.player.speed.y <= -SPRING_SPEED + 1) launched = true;
+  }
+  assert.ok(launched, 'the player was launched by the spring');
+});
+
+test('ladders can be climbed and held on to', () => {
+  let run = new HeadlessRunner(`
+.........o
+...H......
+...H......
+...H......
+...H......
+..@H......
+##########`);
+  run.hold(0.5);
+  run.hold(0.2, ['right']);
+  let start = run.player.pos.y;
+
+  run.hold(0.4, ['jump']);
+  let climbed = run.player.pos.y;
+  assert.ok(climbed < start - 1, 'the player climbed up');
+
+  run.hold(0.5);
+  assert.ok(Math.abs(run.player.pos.y - climbed) < 0.01, 'the player hangs on');
+
+  run.hold(1, ['down']);
+  assert.ok(Math.abs(run.player.pos.y - start) < 0.2, 'the player climbed down');
+});
+
+test('breakable blocks break when hit from below', () => {
+  let run = new HeadlessRunner(`
+.........o
+..........
+..B.......
+..........
+..@.......
+##########`);
+  run.hold(0.5);
+  assert.strictEqual(run.state.level.rows[2][2], 'breakable');
+
+  run.hold(0.1, ['jump']);
+  run.hold(0.5);
+  assert.strictEqual(run.state.level.rows[2][2], 'empty');
+  assert.strictEqual(run.level.rows[2][2], 'breakable', 'the original level is unchanged');
+
+  // Stopping on a ladder right under a block doesn't break it, climbing
+  // into it does
+  run = new HeadlessRunner(`
+.........o
+...B......
+...H......
+...H......
+...H......
+...H......
+..@H......
+##########`);
+  run.hold(0.5);
+  run.hold(0.2, ['right']);
+  while (run.player.pos.y > 2.09) run.tick(['jump']);
+  run.hold(0.5);
+  assert.strictEqual(run.state.level.rows[1][3], 'breakable');
+
+  run.hold(0.2, ['jump']);
+  assert.strictEqual(run.state.level.rows[1][3], 'empty');
+});
+
+test('walls know which of their neighbors are walls', () => {
+  let { level } = new HeadlessRunner(`
+#...o
+.##..
+.#.@.
+.....`);
+  assert.strictEqual(level.neighbors(1, 1), 2 | 4);
+  assert.strictEqual(level.neighbors(2, 1), 8);
+  assert.strictEqual(level.neighbors(1, 2), 1);
+  assert.strictEqual(level.neighbors(0, 0), 1 | 8, 'the outside counts as wall');
+});
@@ -0,0 +1,123 @@
+/* ================================================================== */
+/* ============================= THEMES ============================= */
+/* ================================================================== */
+
+/*
+A level picks its look with `theme` in its meta. A theme has a sky color,
+parallax layers that scroll behind the level slower than the level itself
+(the lower their `depth`, the slower), and the colors of its walls. The wall
+sprites of a theme are painted into a tile sheet the first time it's used,
+with a sprite for every combination of neighboring walls (see
+`Level.prototype.neighbors`), so that the edges and corners of walls show.
+A theme can also have `sheets` of its own, to swap the sprites of the lava,
+the coins, the other tiles or the actors (see DEFAULT_SHEETS). The default
+theme is the look of the original game.
+
+The themes are only data, which display.js draws. They can be loaded in Node
+as well (by the tests).
+*/
+
+// The sprite sheets of the original game: `sprites` has the wall tile, the
+// lava tile and the coin, `tiles` has platforms, ice, springs, ladders and
+// breakable blocks, and `player` and `monster` have their animations. The
+// sheets of the themes have the same layout.
+const DEFAULT_SHEETS = {
+  sprites: 'img/sprites.png',
+  tiles: 'img/tiles.png',
+  player: 'img/player.png',
+  monster: 'img/monster.png',
+};
+
+const THEMES = {
+  default: {
+    sky: 'rgb(52, 166, 251)',
+    layers: [],
+    walls: null,
+  },
+  hills: {
+    sky: 'rgb(120, 200, 255)',
+    layers: [
+      { shape: 'mountains', color: 'rgb(175, 215, 240)', depth: 0.1, height: 0.6 },
+      { shape: 'hills', color: 'rgb(100, 180, 100)', depth: 0.3, height: 0.35 },
+    ],
+    walls: { fill: 'rgb(140, 95, 60)', edge: 'rgb(100, 65, 40)', top: 'rgb(80, 180, 70)' },
+    sheets: {
+      sprites: 'img/themes/hills/sprites.png',
+      tiles: 'img/themes/hills/tiles.png',
+    },
+  },
+  cave: {
+    sky: 'rgb(30, 25, 40)',
+    layers: [
+      { shape: 'stalactites', color: 'rgb(50, 42, 62)', depth: 0.2, height: 0.35, hanging: true },
+      { shape: 'mountains', color: 'rgb(60, 52, 75)', depth: 0.4, height: 0.3 },
+    ],
+    walls: { fill: 'rgb(90, 80, 100)', edge: 'rgb(55, 48, 65)', top: 'rgb(125, 115, 140)' },
+    sheets: {
+      sprites: 'img/themes/cave/sprites.png',
+      tiles: 'img/themes/cave/tiles.png',
+      monster: 'img/themes/cave/monster.png',
+    },
+  },
+  castle: {
+    sky: 'rgb(70, 60, 110)',
+    layers: [
+      { shape: 'towers', color: 'rgb(90, 80, 135)', depth: 0.15, height: 0.55 },
+      { shape: 'towers', color: 'rgb(110, 100, 150)', depth: 0.35, height: 0.3 },
+    ],
+    walls: { fill: 'rgb(150, 150, 160)', edge: 'rgb(100, 100, 115)', top: 'rgb(190, 190, 200)' },
+    sheets: {
+      sprites: 'img/themes/castle/sprites.png',
+      tiles: 'img/themes/castle/tiles.png',
+      monster: 'img/themes/castle/monster.png',
+    },
+  },
+  ice: {
+    sky: 'rgb(190, 225, 250)',
+    layers: [
+      { shape: 'mountains', color: 'rgb(225, 240, 250)', depth: 0.1, height: 0.6 },
+      { shape: 'hills', color: 'rgb(240, 248, 255)', depth: 0.3, height: 0.3 },
+    ],
+    walls: { fill: 'rgb(200, 230, 245)', edge: 'rgb(120, 170, 210)', top: 'white' },
+    sheets: {
+      sprites: 'img/themes/ice/sprites.png',
+      tiles: 'img/themes/ice/tiles.png',
+    },
+  },
+};
+
+function levelTheme(level) {
+  return THEMES[level.meta.theme] || THEMES.default;
+}
+
+// The files of the sprite sheets of a theme, by name. The sheets it doesn't
+// have are the default ones.
+function themeSheetFiles(theme) {
+  return { ...DEFAULT_SHEETS, ...theme.sheets };
+}
+
+// The outline of every layer shape: its height (from 0 to 1) at the pixel
+// `x` of the layer
+const LAYER_SHAPES = {
+  hills: x => 0.6 + 0.25 * Math.sin(x / 90) + 0.15 * Math.sin(x / 37 + 1),
+  mountains: x => {
+    let peak = x => 1 - Math.abs((x % 1 + 1) % 1 * 2 - 1);
+    return 0.6 * peak(x / 240) + 0.4 * peak(x / 110 + 0.3);
+  },
+  stalactites: x => {
+    let spike = 1 - Math.abs((x / 40 % 1 + 1) % 1 * 2 - 1);
+    return spike * (0.5 + 0.5 * Math.abs(Math.sin(Math.floor(x / 40) * 2.7)));
+  },
+  // Blocks of different heights, with battlements on top
+  towers: x => {
+    let block = Math.floor(x / 60);
+    let height = 0.5 + 0.5 * Math.abs(Math.sin(block * 1.9));
+    let battlement = Math.floor(x / 10) % 2 === 0 ? 0.05 : 0;
+    return height - battlement;
+  },
+};
+
+// In Node the themes are used as a module (by the tests).
+if (typeof module !== 'undefined') {
+  module.exports = { DEFAULT_SHEETS, THEMES, levelTheme, themeSheetFiles, LAYER_SHAPES };
+}
@@ -0,0 +1,25 @@
+/*
+Checks every plan in GAME_LEVELS and reports the problems found. Run it with
+`node validate-levels.js`. It exits with a non-zero code when any plan is broken.
+*/
+
+const { validatePlan, formatPlanError } = require('./core');
+const { GAME_LEVELS } = require('./levels');
+
+let broken = 0;
+
+GAME_LEVELS.forEach((plan, i) => {
+  let errors = validatePlan(plan);
+  if (errors.length === 0) return;
+
+  broken++;
+  console.log(`Level ${i + 1}:`);
+  for (let error of errors) console.log(`  ${formatPlanError(error)}`);
+});
+
+if (broken) {
+  console.log(`${broken} of ${GAME_LEVELS.length} levels have problems.`);
+  process.exitCode = 1;
+} else {
+  console.log(`All ${GAME_LEVELS.length} levels are valid.`);
+}